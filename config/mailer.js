@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Mail transports. Each transport exposes send(message) and is selected with
+// MAIL_TRANSPORT (console | file | smtp). Custom transports can be added with
+// registerTransport() before the first mail is sent.
+const transports = {
+  // Development: print the mail to stdout
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Mail (console transport):', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { transport: 'console' };
+    }
+  }),
+
+  // Development and tests: write each mail as a JSON file
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../uploads/mail');
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(dir, fileName);
+        await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        return { transport: 'file', path: filePath };
+      }
+    };
+  },
+
+  // Production: send through an SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+    return {
+      send: async ({ meta, ...message }) => {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Send an email: { to, subject, text, html }
+const sendMail = async (message) => {
+  try {
+    return await getTransport().send({
+      from: process.env.MAIL_FROM || 'CHATLI <no-reply@chatli.mn>',
+      ...message
+    });
+  } catch (error) {
+    throw new Error('Mail sending failed: ' + error.message);
+  }
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape user-supplied text before putting it into an html mail body
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Build a link into the frontend app carrying a token
+const buildFrontendLink = (pathname, token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  buildFrontendLink,
+  escapeHtml
+};
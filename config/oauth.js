@@ -0,0 +1,67 @@
+// OAuth2 / OpenID Connect sign-in providers.
+//
+// Built-in providers are enabled by setting their client IDs. Extra
+// providers, or overrides of the built-in ones, can be given as JSON in
+// OAUTH_PROVIDERS, e.g. for local development and tests with a stub JWKS:
+//   OAUTH_PROVIDERS=[{"name":"google","issuer":"https://stub.local","clientIds":["test"],"jwksFile":"./stub-jwks.json"}]
+// Each provider needs: name, issuer (string or array), clientIds and one of
+// jwksUri (remote), jwksFile (local path) or jwks (inline key set).
+// requireNonce rejects sign-ins that do not carry a nonce in the token.
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const builtInProviders = {
+  google: {
+    name: 'google',
+    issuer: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    requireNonce: true,
+    clientIds: splitList(process.env.GOOGLE_CLIENT_IDS)
+  },
+  apple: {
+    name: 'apple',
+    issuer: 'https://appleid.apple.com',
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    requireNonce: true,
+    clientIds: splitList(process.env.APPLE_CLIENT_IDS)
+  }
+};
+
+const loadCustomProviders = () => {
+  if (!process.env.OAUTH_PROVIDERS) return [];
+  try {
+    const providers = JSON.parse(process.env.OAUTH_PROVIDERS);
+    return Array.isArray(providers) ? providers : [];
+  } catch (error) {
+    console.error('Invalid OAUTH_PROVIDERS configuration:', error.message);
+    return [];
+  }
+};
+
+const providers = { ...builtInProviders };
+for (const custom of loadCustomProviders()) {
+  if (!custom || !custom.name) continue;
+  providers[custom.name] = { ...(providers[custom.name] || {}), ...custom };
+}
+
+// A provider is usable once it has client IDs and a key source
+const isEnabled = (provider) => {
+  return !!(provider &&
+    Array.isArray(provider.clientIds) && provider.clientIds.length > 0 &&
+    provider.issuer &&
+    (provider.jwksUri || provider.jwksFile || provider.jwks));
+};
+
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+  return isEnabled(provider) ? provider : null;
+};
+
+const getEnabledProviders = () => {
+  return Object.values(providers).filter(isEnabled).map(provider => provider.name);
+};
+
+module.exports = {
+  getProvider,
+  getEnabledProviders
+};
@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../services/sessions');
 
 const auth = async (req, res, next) => {
   try {
@@ -12,17 +11,17 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const result = await verifyAccessToken(token);
     
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Хэрэглэгч олдсонгүй' 
+        message: 'Сесс хүчингүй болсон. Дахин нэвтэрнэ үү' 
       });
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.authSession = result.session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -53,10 +52,10 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
-        if (user) {
-          req.user = user;
+        const result = await verifyAccessToken(token);
+        if (result) {
+          req.user = result.user;
+          req.authSession = result.session;
         }
       } catch (error) {
         // Silently ignore token errors for optional auth
@@ -71,4 +70,16 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth }; 
\ No newline at end of file
+// Blocks unverified users when REQUIRE_EMAIL_VERIFICATION is enabled.
+// Must run after auth.
+const requireVerified = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.isVerified) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: 'Имэйл хаягаа баталгаажуулна уу'
+  });
+};
+
+module.exports = { auth, optionalAuth, requireVerified };
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+// Moves the embedded followers/following/followRequests arrays on users
+// into the Follow collection, then removes the arrays. Safe to re-run:
+// edges are upserted and users whose arrays are gone are skipped.
+async function migrate() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    
+    const Follow = require('./models/Follow');
+    await Follow.syncIndexes();
+
+    // Read the raw documents: the arrays are no longer in the User schema
+    const users = mongoose.connection.collection('users');
+    const query = {
+      $or: [
+        { followers: { $exists: true } },
+        { following: { $exists: true } },
+        { followRequests: { $exists: true } }
+      ]
+    };
+
+    const count = await users.countDocuments(query);
+    console.log(`Found ${count} users with embedded follow arrays`);
+
+    let migrated = 0;
+    let edges = 0;
+    const cursor = users.find(query, { projection: { followers: 1, following: 1, followRequests: 1 } });
+    for await (const user of cursor) {
+      const accepted = [
+        ...(user.followers || []).map(followerId => ({ follower: followerId, following: user._id })),
+        ...(user.following || []).map(followingId => ({ follower: user._id, following: followingId }))
+      ];
+      const operations = accepted.map(edge => ({
+        updateOne: {
+          filter: edge,
+          update: { $set: { status: 'accepted' }, $setOnInsert: { acceptedAt: new Date() } },
+          upsert: true
+        }
+      }));
+      // A request never downgrades an edge that is already accepted
+      for (const requesterId of user.followRequests || []) {
+        operations.push({
+          updateOne: {
+            filter: { follower: requesterId, following: user._id },
+            update: { $setOnInsert: { status: 'pending' } },
+            upsert: true
+          }
+        });
+      }
+
+      if (operations.length > 0) {
+        const result = await Follow.bulkWrite(operations, { ordered: false });
+        edges += result.upsertedCount;
+      }
+
+      await users.updateOne(
+        { _id: user._id },
+        { $unset: { followers: '', following: '', followRequests: '' } }
+      );
+      migrated++;
+      if (migrated % 500 === 0) {
+        console.log(`Migrated ${migrated}/${count} users...`);
+      }
+    }
+
+    console.log(`Successfully migrated ${migrated} users, created ${edges} follow edges`);
+    console.log('Migration completed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
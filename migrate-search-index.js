@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+// Builds the user search index (searchTokens/searchGrams) for existing
+// users. Re-run after changing the normalization rules in services/search.js.
+async function migrate() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    
+    const User = require('./models/User');
+    const { buildSearchIndex } = require('./services/search');
+    await User.syncIndexes();
+
+    const count = await User.countDocuments();
+    console.log(`Indexing ${count} users...`);
+
+    let indexed = 0;
+    let operations = [];
+    const cursor = User.find().select('name username bio').lean().cursor();
+    for await (const user of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: buildSearchIndex(user) }
+        }
+      });
+      if (operations.length === 500) {
+        await User.bulkWrite(operations, { ordered: false });
+        indexed += operations.length;
+        operations = [];
+        console.log(`Indexed ${indexed}/${count} users...`);
+      }
+    }
+    if (operations.length > 0) {
+      await User.bulkWrite(operations, { ordered: false });
+      indexed += operations.length;
+    }
+
+    console.log(`Successfully indexed ${indexed} users`);
+    console.log('Migration completed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
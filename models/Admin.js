@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME = 15 * 60 * 1000; // 15 minutes
+
 const adminSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -41,6 +44,18 @@ const adminSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date,
+    // Wrong codes since the last successful second step
+    failedAttempts: Number,
+    // Login challenges issued before this are no longer accepted
+    challengesRevokedAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin'
@@ -100,8 +115,8 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
       this.loginAttempts += 1;
       
       // Lock account after 5 failed attempts for 15 minutes
-      if (this.loginAttempts >= 5) {
-        this.lockUntil = Date.now() + 15 * 60 * 1000; // 15 minutes
+      if (this.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
+        this.lockUntil = Date.now() + LOCK_TIME;
       }
       
       await this.save();
@@ -112,6 +127,42 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Reserve a second-factor attempt before the code is checked, so parallel
+// guesses can't go past the limit. Returns false while the account is
+// locked or out of attempts. Password logins don't reset this counter.
+adminSchema.methods.claimTwoFactorAttempt = async function() {
+  const now = new Date();
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'twoFactor.failedAttempts': { $not: { $gte: MAX_LOGIN_ATTEMPTS } },
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }]
+    },
+    { $inc: { 'twoFactor.failedAttempts': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// The claimed attempt was a wrong code. Once the limit is reached the
+// account is locked and every outstanding login challenge is revoked.
+adminSchema.methods.recordTwoFactorFailure = async function() {
+  const now = Date.now();
+  await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.failedAttempts': { $gte: MAX_LOGIN_ATTEMPTS } },
+    {
+      $set: {
+        lockUntil: new Date(now + LOCK_TIME),
+        'twoFactor.failedAttempts': 0,
+        'twoFactor.challengesRevokedAt': new Date(now)
+      }
+    }
+  );
+};
+
+adminSchema.methods.clearTwoFactorFailures = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $set: { 'twoFactor.failedAttempts': 0 } });
+};
+
 // Method to update last login
 adminSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
@@ -12,6 +12,10 @@ const chatSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Группийн нэр 100 тэмдэгтээс бага байх ёстой']
   },
+  avatar: {
+    type: String,
+    default: ''
+  },
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -126,6 +130,21 @@ chatSchema.methods.markAsRead = function(userId) {
   return this;
 };
 
+// Method to set the unread count, e.g. after a partial read
+chatSchema.methods.setUnreadCount = function(userId, count) {
+  const unreadIndex = this.unreadCounts.findIndex(item => 
+    item.user.toString() === userId.toString()
+  );
+  
+  if (unreadIndex > -1) {
+    this.unreadCounts[unreadIndex].count = count;
+  } else {
+    this.unreadCounts.push({ user: userId, count });
+  }
+  
+  return this.save();
+};
+
 // Method to soft delete chat for a user
 chatSchema.methods.deleteForUser = function(userId) {
   const userIdString = userId.toString();
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Background job that builds a downloadable archive of a user's data
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  fileName: {
+    type: String
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  size: {
+    type: Number // in bytes
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date // archive is deleted after this date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1 });
+
+// Remove internal fields from JSON response
+exportJobSchema.methods.toJSON = function() {
+  const job = this.toObject();
+  delete job.filePath;
+  return job;
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
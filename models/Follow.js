@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One follow edge between two users. Following a private profile creates a
+// pending edge that becomes accepted when the profile owner approves it.
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'accepted'
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Listings are paginated by edge _id
+followSchema.index({ following: 1, status: 1, _id: 1 });
+followSchema.index({ follower: 1, status: 1, _id: 1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Failed login tracking for regular users. Records are keyed by the email
+// that was tried rather than by user, so unknown emails are throttled
+// exactly like real accounts and lockouts don't reveal which emails exist.
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Old records are removed by MongoDB automatically
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the email is locked
+loginAttemptSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
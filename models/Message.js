@@ -38,6 +38,27 @@ const messageSchema = new mongoose.Schema({
       type: String
     }
   },
+  // Structured form of a 'system' message, e.g. a member being added
+  system: {
+    action: {
+      type: String,
+      enum: ['member_added', 'member_removed', 'member_left', 'admin_promoted', 'admin_demoted', 'renamed', 'avatar_changed']
+    },
+    targets: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      default: undefined
+    },
+    name: String
+  },
+  // Generated by the sending client so retried sends are not duplicated
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
@@ -46,6 +67,16 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   }],
+  deliveredTo: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   readBy: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -100,9 +131,18 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
-messageSchema.index({ chat: 1, createdAt: -1 });
+// Message pages are read in (createdAt, _id) order from either direction
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ replyTo: 1 });
+// Resync reads a chat's changes in update order
+messageSchema.index({ chat: 1, updatedAt: 1, _id: 1 });
+// Client retries are matched per chat, so the same id in another chat is a
+// different message
+messageSchema.index(
+  { chat: 1, sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 
 // Virtual for getting reaction count
 messageSchema.virtual('reactionCounts').get(function() {
@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const commentSchema = new mongoose.Schema({
   author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   content: { type: String, required: true, maxlength: 1000 },
+  // Comments from restricted users stay hidden until the post author approves
+  pendingApproval: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { buildSearchIndex } = require('../services/search');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,6 +17,9 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: [30, 'Хэрэглэгчийн нэр 30 тэмдэгтээс бага байх ёстой']
   },
+  usernameChangedAt: {
+    type: Date
+  },
   email: {
     type: String,
     required: [true, 'Имэйл оруулна уу'],
@@ -25,9 +29,31 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Нууц үг оруулна уу'],
+    // Accounts created through social sign-in may have no password
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Нууц үг оруулна уу'],
     minlength: [6, 'Нууц үг хамгийн багадаа 6 тэмдэгт байх ёстой']
   },
+  identities: [{
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
   avatar: {
     type: String,
     default: ''
@@ -53,19 +79,56 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedAt: {
+    type: Date
+  },
+  verificationSentAt: {
+    type: Date
+  },
   friends: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Incoming friend requests, separate from follow requests (see Follow)
+  friendRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Who may start or continue direct chats with this user
+  messagePrivacy: {
+    type: String,
+    enum: ['everyone', 'friends'],
+    default: 'everyone'
+  },
+  // Who can see presence; contacts share a chat or a follow with the user
+  privacy: {
+    lastSeen: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    onlineStatus: {
+      type: String,
+      enum: ['everyone', 'contacts', 'nobody'],
+      default: 'everyone'
+    },
+    // Off hides this user's reads from others and others' reads from them
+    readReceipts: {
+      type: Boolean,
+      default: true
+    }
+  },
   blockedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  followers: [{
+  // Muted users' posts and notifications are hidden; follows are unchanged
+  mutedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  following: [{
+  // Restricted users' comments on this user's posts need approval
+  restrictedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
@@ -80,18 +143,48 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  followRequests: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    default: []
-  }]
+  // Set while the account is deactivated; purged after the grace period
+  deactivatedAt: {
+    type: Date,
+    index: true
+  },
+  // Search index, rebuilt on save from name, username and bio
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  searchGrams: {
+    type: [String],
+    select: false
+  }
 }, {
   timestamps: true
 });
 
+// Each external identity can only be linked to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+userSchema.index({ searchTokens: 1 });
+userSchema.index({ searchGrams: 1 });
+// Reverse block lookups ("who blocked this user")
+userSchema.index({ blockedUsers: 1 });
+
+// Keep the search index in sync with the indexed fields
+userSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('username') || this.isModified('bio')) {
+    const { searchTokens, searchGrams } = buildSearchIndex(this);
+    this.searchTokens = searchTokens;
+    this.searchGrams = searchGrams;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -104,6 +197,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -111,6 +205,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.searchTokens;
+  delete user.searchGrams;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt
+    };
+  }
   return user;
 };
 
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Previous usernames of a user. While reservedUntil is in the future the
+// handle can only be reclaimed by its previous owner; after that it is
+// free, but old links still redirect here unless someone else took it.
+const usernameHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reservedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+usernameHistorySchema.index({ username: 1, changedAt: -1 });
+usernameHistorySchema.index({ user: 1, changedAt: -1 });
+
+module.exports = mongoose.model('UsernameHistory', usernameHistorySchema);
@@ -4,8 +4,48 @@ const Admin = require('../models/Admin');
 const User = require('../models/User');
 const Report = require('../models/Report');
 const Analytics = require('../models/Analytics');
+const LoginAttempt = require('../models/LoginAttempt');
+const {
+  TWO_FACTOR_FIELDS,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  decodeChallengeToken
+} = require('../services/twoFactor');
 const router = express.Router();
 
+// Admins with system permissions must use two-factor authentication
+const requiresTwoFactor = (admin) => !!(admin.permissions && admin.permissions.system);
+
+// Issue the admin JWT and build the login response
+const buildLoginResponse = (admin) => {
+  const token = jwt.sign(
+    { 
+      adminId: admin._id, 
+      username: admin.username,
+      role: admin.role 
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '4h' }
+  );
+
+  return {
+    message: 'Login successful',
+    token,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      permissions: admin.permissions,
+      lastLogin: admin.lastLogin,
+      twoFactorEnabled: admin.twoFactor.enabled
+    }
+  };
+};
+
 // Admin authentication middleware
 const authenticateAdmin = async (req, res, next) => {
   try {
@@ -22,6 +62,11 @@ const authenticateAdmin = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid or inactive admin account.' });
     }
 
+    // Tokens issued before 2FA became mandatory are not accepted
+    if (requiresTwoFactor(admin) && !admin.twoFactor.enabled) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for this account.' });
+    }
+
     req.admin = admin;
     next();
   } catch (error) {
@@ -68,39 +113,151 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (admin.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken('admin', admin._id)
+      });
+    }
+
+    // System admins without 2FA must enroll before they get a token
+    if (requiresTwoFactor(admin)) {
+      const { secret, otpauthUri } = await beginEnrollment(admin, admin.email);
+      return res.json({
+        message: 'Two-factor setup required',
+        twoFactorSetupRequired: true,
+        challengeToken: createChallengeToken('admin', admin._id),
+        secret,
+        otpauthUri
+      });
+    }
+
     // Update last login
     await admin.updateLastLogin();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        adminId: admin._id, 
-        username: admin.username,
-        role: admin.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '4h' }
-    );
+    res.json(buildLoginResponse(admin));
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Admin login, second step (also completes mandatory enrollment)
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = decodeChallengeToken(challengeToken, 'admin');
+    if (!challenge) {
+      return res.status(401).json({ error: 'Challenge expired. Please log in again.' });
+    }
+
+    const admin = await Admin.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Challenges from before a lockout can't be used again
+    const { challengesRevokedAt } = admin.twoFactor;
+    if (challengesRevokedAt && challenge.issuedAt <= challengesRevokedAt) {
+      return res.status(401).json({ error: 'Challenge expired. Please log in again.' });
+    }
+
+    const canVerify = admin.twoFactor.enabled || (admin.twoFactor.pendingSecret && typeof code === 'string');
+    if (!canVerify) {
+      return res.status(400).json({ error: 'Two-factor authentication is not set up' });
+    }
+
+    if (!(await admin.claimTwoFactorAttempt())) {
+      return res.status(423).json({ error: 'Account locked due to too many failed attempts. Try again in 15 minutes.' });
+    }
+
+    let isValid;
+    let recoveryCodes;
+    if (admin.twoFactor.enabled) {
+      isValid = await verifySecondFactor(admin, { code, recoveryCode });
+    } else {
+      recoveryCodes = await confirmEnrollment(admin, code);
+      isValid = !!recoveryCodes;
+    }
+    if (!isValid) {
+      await admin.recordTwoFactorFailure();
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await admin.clearTwoFactorFailures();
+    await admin.updateLastLogin();
 
     res.json({
-      message: 'Login successful',
-      token,
-      admin: {
-        id: admin._id,
-        username: admin.username,
-        email: admin.email,
-        role: admin.role,
-        permissions: admin.permissions,
-        lastLogin: admin.lastLogin
-      }
+      ...buildLoginResponse(admin),
+      ...(recoveryCodes ? { recoveryCodes } : {})
     });
-
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Admin 2FA login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+// Start two-factor enrollment for the current admin
+router.post('/2fa/setup', authenticateAdmin, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_FIELDS);
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(admin, admin.email);
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    console.error('Admin 2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm two-factor enrollment for the current admin
+router.post('/2fa/enable', authenticateAdmin, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_FIELDS);
+    if (admin.twoFactor.enabled || !admin.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(admin, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Admin 2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Disable two-factor authentication (not allowed for system admins)
+router.post('/2fa/disable', authenticateAdmin, async (req, res) => {
+  try {
+    if (requiresTwoFactor(req.admin)) {
+      return res.status(403).json({ error: 'Two-factor authentication is mandatory for this account' });
+    }
+
+    const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_FIELDS);
+    const { code, recoveryCode } = req.body;
+    const isValid = await verifySecondFactor(admin, { code, recoveryCode });
+    if (!isValid) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    await disableTwoFactor(admin);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Admin 2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
 // Verify admin token
 router.get('/verify', authenticateAdmin, async (req, res) => {
   try {
@@ -112,7 +269,8 @@ router.get('/verify', authenticateAdmin, async (req, res) => {
         email: req.admin.email,
         role: req.admin.role,
         permissions: req.admin.permissions,
-        lastLogin: req.admin.lastLogin
+        lastLogin: req.admin.lastLogin,
+        twoFactorEnabled: req.admin.twoFactor.enabled
       }
     });
   } catch (error) {
@@ -270,6 +428,26 @@ router.delete('/users/:userId', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Unlock a user account locked by failed login attempts
+router.post('/users/:userId/unlock', authenticateAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await LoginAttempt.deleteOne({ email: user.email });
+
+    res.json({
+      message: result.deletedCount ? 'User account unlocked' : 'User account was not locked',
+      unlocked: result.deletedCount > 0
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
 // Get all reports with pagination
 router.get('/reports', authenticateAdmin, async (req, res) => {
   try {
@@ -1,89 +1,377 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessionSockets
+} = require('../services/sessions');
+const Session = require('../models/Session');
+const {
+  sendVerificationEmail,
+  verifyEmailToken,
+  canResendVerification
+} = require('../services/emailVerification');
+const {
+  sendPasswordResetEmail,
+  findUserByResetToken,
+  setPassword
+} = require('../services/passwordReset');
+const {
+  TWO_FACTOR_FIELDS,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  compareDummyPassword
+} = require('../services/loginThrottle');
+const { getProvider, getEnabledProviders } = require('../config/oauth');
+const { verifyIdToken } = require('../services/oauth');
+const {
+  isUsernameTaken,
+  generateUniqueUsername,
+  getNextUsernameChangeAt,
+  changeUsername,
+  resolveUsername
+} = require('../services/usernames');
+const UsernameHistory = require('../models/UsernameHistory');
+const { validateInput } = require('../middleware/security');
+const { isContact, applyPresencePrivacy } = require('../services/presence');
+const { isPendingPurge, deactivateUser, purgeUser } = require('../services/accounts');
+const ExportJob = require('../models/ExportJob');
+const { enqueueExport } = require('../services/dataExport');
+const { getBlockedIds, isBlockedBetween, blockUser, unblockUser } = require('../services/blocks');
+const { addFriendship, removeFriendship, countMutualFriends } = require('../services/friends');
+const Follow = require('../models/Follow');
+const {
+  parseQuery,
+  buildCandidateFilter,
+  scoreMatch,
+  encodeCursor,
+  decodeCursor,
+  isAfterCursor
+} = require('../services/search');
+const {
+  canViewProfile,
+  getFollowCounts,
+  followUser,
+  unfollowUser,
+  acceptFollowRequest,
+  removeFollowRequest,
+  getFollowStates,
+  findFollowPage
+} = require('../services/follows');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Response for throttled or locked logins. Identical for every email.
+const sendLoginThrottled = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Хэт олон нэвтрэх оролдлого. Түр хүлээгээд дахин оролдоно уу',
+    data: { retryAfter }
+  });
 };
 
-// Utility to escape regex special characters
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+// Finish a successful login: mark the user online and start a session
+const completeLogin = async (user, req, res) => {
+  await clearLoginFailures(user.email);
+
+  // Logging in within the grace period undoes a deactivation
+  const wasDeactivated = !!user.deactivatedAt;
+  if (wasDeactivated) {
+    user.deactivatedAt = undefined;
+  }
+
+  user.lastSeen = new Date();
+  user.status = 'online';
+  await user.save();
+
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: wasDeactivated ? 'Акаунт дахин идэвхжлээ' : 'Амжилттай нэвтэрлээ',
+    data: {
+      user,
+      token,
+      refreshToken,
+      expiresIn,
+      reactivated: wasDeactivated
+    }
+  });
+};
+
+// Continue after the first factor: ask for a 2FA code if enabled,
+// otherwise complete the login
+const startLogin = async (user, req, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.json({
+      success: true,
+      message: 'Баталгаажуулах код оруулна уу',
+      data: {
+        requiresTwoFactor: true,
+        challengeToken: createChallengeToken('user', user._id)
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
+// Extra search ranking on top of text relevance
+const MAX_SEARCH_CANDIDATES = 300;
+// Most follow relationships considered when collecting search candidates
+const MAX_RELATED_USERS = 5000;
+const SEARCH_BOOST = {
+  oldUsername: 50,
+  following: 15,
+  follower: 10
+};
+
+// Cursor pagination over a list of user ids, ordered by _id. Returns null
+// when the cursor is malformed.
+const findUsersPage = async (ids, req, { select = 'name username avatar', transform = (user) => user } = {}) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const query = { _id: { $in: ids }, deactivatedAt: null };
+  if (req.query.cursor) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.cursor)) return null;
+    query._id.$gt = req.query.cursor;
+  }
+
+  const users = await User.find(query)
+    .select(select)
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = users.length > limit;
+  const items = users.slice(0, limit).map(transform);
+  return {
+    items,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? items[items.length - 1]._id : null
+    }
+  };
+};
+
+// Adds whether the viewer follows (or asked to follow) each listed user
+const addFollowState = async (viewerId, users) => {
+  const states = await getFollowStates(viewerId, users.map(user => user._id));
+  return users.map(user => ({
+    ...user,
+    isFollowing: states.get(user._id.toString()) === 'accepted',
+    followRequested: states.get(user._id.toString()) === 'pending'
+  }));
+};
+
+const SEARCH_CANDIDATE_FIELDS = '_id name username avatar privateProfile +searchTokens +searchGrams';
+
+// Candidates for a search, collected in tiers so the strongest matches are
+// never cut off by the limit: exact token matches, then matching users the
+// viewer follows or is followed by, then prefix and trigram matches. Each
+// tier is read in _id order so paging sees the same set on every request.
+const findSearchCandidates = async (parsed, viewerId, blockedIds) => {
+  const [followingEdges, followerEdges] = await Promise.all([
+    Follow.find({ follower: viewerId, status: 'accepted' }).select('following').limit(MAX_RELATED_USERS).lean(),
+    Follow.find({ following: viewerId, status: 'accepted' }).select('follower').limit(MAX_RELATED_USERS).lean()
+  ]);
+  const relatedIds = [
+    ...followingEdges.map(edge => edge.following),
+    ...followerEdges.map(edge => edge.follower)
+  ];
+
+  const matchFilter = buildCandidateFilter(parsed);
+  const tiers = [
+    { searchTokens: { $in: parsed.tokens } },
+    ...(relatedIds.length > 0 ? [{ $and: [matchFilter, { _id: { $in: relatedIds } }] }] : []),
+    matchFilter
+  ];
+
+  const results = await Promise.all(tiers.map(filter => User.find({
+    $and: [filter, { deactivatedAt: null }, { _id: { $nin: blockedIds } }]
+  })
+    .select(SEARCH_CANDIDATE_FIELDS)
+    .sort({ _id: 1 })
+    .limit(MAX_SEARCH_CANDIDATES)
+    .lean()));
+
+  const candidates = new Map();
+  for (const user of results.flat()) {
+    candidates.set(user._id.toString(), user);
+  }
+  return [...candidates.values()];
+};
 
 // @route   GET /users/search
-// @desc    Search users by name or username
+// @desc    Search users by name, username or bio (typo tolerant, ranked,
+//          cursor paginated)
 // @access  Private
 router.get('/users/search', auth, async (req, res) => {
   try {
-    const q = req.query.q || '';
-    if (!q.trim()) return res.json({ success: true, data: { users: [] } });
-    const safeQ = escapeRegex(q);
-    const regex = new RegExp(`^${safeQ}$`, 'i'); // exact match for uniqueness
-    console.log('[UserSearch] Query:', q, '| safeQ:', safeQ, '| regex:', regex);
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const parsed = parseQuery(q);
+    if (parsed.tokens.length === 0) {
+      return res.json({ success: true, data: { users: [], pagination: { limit, hasMore: false, nextCursor: null } } });
+    }
 
-    // Try to find by username first (unique)
-    let user = await User.findOne({ username: regex }).select('_id name username avatar privateProfile');
-    console.log('[UserSearch] Username match:', user);
-    if (user) {
-      return res.json({ success: true, data: { users: [user] } });
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ success: false, message: 'Курсор буруу байна' });
+      }
     }
 
-    // Then try to find by name (should be unique if enforced)
-    let usersByName = await User.find({ name: regex }).select('_id name username avatar privateProfile');
-    console.log('[UserSearch] Name match:', usersByName);
-    if (usersByName.length === 1) {
-      return res.json({ success: true, data: { users: usersByName } });
-    } else if (usersByName.length > 1) {
-      // Legacy data: multiple users with same name
-      return res.status(409).json({
-        success: false,
-        message: 'Олдсон нэр давхцаж байна. Админд хандана уу.',
-        data: { users: usersByName }
-      });
+    // Blocked users are hidden in both directions
+    const blockedIds = await getBlockedIds(req.user._id);
+    const candidates = await findSearchCandidates(parsed, req.user._id, blockedIds);
+
+    const scored = candidates
+      .map(user => ({ user, score: scoreMatch(parsed, user) }))
+      .filter(item => item.score > 0);
+
+    // Old handles resolve to the user who gave them up
+    let redirectedFrom;
+    const resolved = await resolveUsername(q.toLowerCase());
+    if (resolved && resolved.redirected && !blockedIds.some(id => id.equals(resolved.userId))) {
+      const existing = scored.find(item => item.user._id.equals(resolved.userId));
+      if (existing) {
+        existing.score += SEARCH_BOOST.oldUsername;
+        redirectedFrom = q.toLowerCase();
+      } else {
+        const user = await User.findOne({ _id: resolved.userId, deactivatedAt: null })
+          .select('_id name username avatar privateProfile')
+          .lean();
+        if (user) {
+          scored.push({ user, score: SEARCH_BOOST.oldUsername });
+          redirectedFrom = q.toLowerCase();
+        }
+      }
     }
 
-    // If not found, fallback to partial search (for suggestions)
-    const partialRegex = new RegExp(safeQ, 'i');
-    const or = [
-      { name: partialRegex },
-      { username: partialRegex }
-    ];
-    if (mongoose.Types.ObjectId.isValid(q)) {
-      or.push({ _id: q });
+    // Boost people the viewer follows and people who follow the viewer
+    const ids = scored.map(item => item.user._id);
+    const [followStates, followerEdges] = await Promise.all([
+      getFollowStates(req.user._id, ids),
+      Follow.find({ follower: { $in: ids }, following: req.user._id, status: 'accepted' }).select('follower').lean()
+    ]);
+    const followerSet = new Set(followerEdges.map(edge => edge.follower.toString()));
+    for (const item of scored) {
+      const id = item.user._id.toString();
+      item.isFollowing = followStates.get(id) === 'accepted';
+      item.followsYou = followerSet.has(id);
+      if (item.isFollowing) item.score += SEARCH_BOOST.following;
+      if (item.followsYou) item.score += SEARCH_BOOST.follower;
     }
-    console.log('[UserSearch] Partial search $or:', or);
-    const suggestions = await User.find({ $or: or }).select('_id name username avatar privateProfile').limit(10);
-    console.log('[UserSearch] Suggestions:', suggestions);
-    return res.json({ success: true, data: { users: suggestions } });
+
+    const ranked = scored
+      .map(item => ({ ...item, _id: item.user._id }))
+      .sort((a, b) => b.score - a.score || String(a._id).localeCompare(String(b._id)))
+      .filter(item => !cursor || isAfterCursor(item, cursor));
+
+    const hasMore = ranked.length > limit;
+    const page = ranked.slice(0, limit);
+    const users = page.map(({ user, score, isFollowing, followsYou }) => {
+      const { searchTokens, searchGrams, ...profile } = user;
+      return { ...profile, isFollowing, followsYou, isMutual: isFollowing && followsYou, score };
+    });
+    const last = page[page.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        ...(redirectedFrom ? { redirectedFrom } : {}),
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(last.score, last._id) : null
+        }
+      }
+    });
   } catch (error) {
     console.error('[UserSearch] Error:', error.stack || error);
     res.status(500).json({ success: false, message: 'Серверийн алдаа' });
   }
 });
 
+// @route   GET /api/users/username/:username
+// @desc    Resolve a username (old usernames redirect to the current profile)
+// @access  Private
+router.get('/users/username/:username', auth, async (req, res) => {
+  try {
+    const requested = req.params.username.toLowerCase();
+    const resolved = await resolveUsername(requested);
+    if (!resolved) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+
+    const user = await User.findOne({ _id: resolved.userId, deactivatedAt: null }).select('_id name username avatar privateProfile');
+    if (!user || await isBlockedBetween(req.user._id, user._id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        redirected: resolved.redirected,
+        ...(resolved.redirected ? { redirectedFrom: requested } : {})
+      }
+    });
+  } catch (error) {
+    console.error('Resolve username error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
 router.get('/users/:id', auth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
-    if (!user) {
+    if (!user || (user.deactivatedAt && !user._id.equals(req.user._id))) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    // Users who blocked the viewer do not exist for them
+    if (user.blockedUsers.some(id => id.equals(req.user._id))) {
       return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
     }
     let userObj = user.toObject();
-    // Only include followRequests if viewing own profile
+    Object.assign(userObj, await getFollowCounts(user._id));
+    // Only include relationship lists if viewing own profile
     if (user._id.equals(req.user._id)) {
-      userObj.followRequests = user.followRequests;
+      userObj.followRequestsCount = await Follow.countDocuments({ following: user._id, status: 'pending' });
     } else {
-      delete userObj.followRequests;
+      applyPresencePrivacy(userObj, { isSelf: false, isContact: await isContact(req.user._id, user._id) });
+      const followState = (await getFollowStates(req.user._id, [user._id])).get(user._id.toString());
+      userObj.isFollowing = followState === 'accepted';
+      userObj.followRequested = followState === 'pending';
+      delete userObj.blockedUsers;
+      delete userObj.mutedUsers;
+      delete userObj.restrictedUsers;
+      delete userObj.friendRequests;
+      userObj.isFriend = user.friends.some(id => id.equals(req.user._id));
+      userObj.mutualFriendsCount = countMutualFriends(req.user.friends, user.friends);
+      userObj.isBlocked = req.user.blockedUsers.some(id => id.equals(user._id));
     }
     res.json({ success: true, data: { user: userObj } });
   } catch (error) {
@@ -137,6 +425,14 @@ router.post('/register', [
       });
     }
 
+    // Recently released usernames stay reserved for their previous owner
+    if (await isUsernameTaken(username.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Энэ хэрэглэгчийн нэр боломжгүй байна'
+      });
+    }
+
     // Create new user
     const user = new User({
       name,
@@ -147,15 +443,24 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send the verification email; registration succeeds even if mail fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Start a session for the new device
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'Хэрэглэгч амжилттай бүртгэгдлээ',
       data: {
         user,
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -191,42 +496,73 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
+    // Throttling is keyed by email, so it applies to unknown emails too
+    const throttle = await checkLoginAllowed(email);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    // Find user by email and check password (dummy check keeps timing equal)
+    // Accounts past their deactivation grace period behave as nonexistent
+    let user = await User.findOne({ email });
+    if (user && isPendingPurge(user)) user = null;
+    const isPasswordValid = user
+      ? await user.comparePassword(password)
+      : await compareDummyPassword(password);
+    if (!isPasswordValid) {
+      await recordLoginFailure(email);
       return res.status(400).json({
         success: false,
         message: 'Имэйл эсвэл нууц үг буруу байна'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    await startLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Баталгаажуулах токен оруулна уу')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Имэйл эсвэл нууц үг буруу байна'
+        message: 'Оролтын алдаа',
+        errors: errors.array()
       });
     }
 
-    // Update last seen and status
-    user.lastSeen = new Date();
-    user.status = 'online';
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
+    const user = await verifyEmailToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Баталгаажуулах холбоос хүчингүй эсвэл хугацаа нь дууссан байна'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Амжилттай нэвтэрлээ',
+      message: 'Имэйл амжилттай баталгаажлаа',
       data: {
-        user,
-        token
+        user
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Verify email error:', error);
     res.status(500).json({
       success: false,
       message: 'Серверийн алдаа'
@@ -234,19 +570,35 @@ router.post('/login', [
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.post('/resend-verification', auth, async (req, res) => {
   try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Имэйл аль хэдийн баталгаажсан байна'
+      });
+    }
+
+    if (!canResendVerification(user)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Түр хүлээгээд дахин оролдоно уу'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
     res.json({
       success: true,
-      data: {
-        user: req.user
-      }
+      message: 'Баталгаажуулах имэйл илгээгдлээ'
     });
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Resend verification error:', error);
     res.status(500).json({
       success: false,
       message: 'Серверийн алдаа'
@@ -254,32 +606,14 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
-// @access  Private
-router.put('/profile', auth, [
-  body('name')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Нэр 2-50 тэмдэгт байх ёстой'),
-  body('bio')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Био 500 тэмдэгтээс бага байх ёстой'),
-  body('avatar')
-    .optional()
-    .isString()
-    .withMessage('Зураг буруу байна'),
-  body('coverImage')
-    .optional()
-    .isString()
-    .withMessage('Ковер зураг буруу байна'),
-  body('privateProfile')
-    .optional()
-    .isBoolean()
-    .withMessage('Хувийн профайл утга буруу байна')
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset email
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Зөв имэйл оруулна уу')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -291,30 +625,21 @@ router.put('/profile', auth, [
       });
     }
 
-    const { name, bio, avatar, coverImage, privateProfile } = req.body;
-    const updateFields = {};
-
-    if (name) updateFields.name = name;
-    if (bio !== undefined) updateFields.bio = bio;
-    if (avatar) updateFields.avatar = avatar;
-    if (coverImage) updateFields.coverImage = coverImage;
-    if (privateProfile !== undefined) updateFields.privateProfile = privateProfile;
-
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateFields,
-      { new: true, runValidators: true }
-    ).select('-password');
+    // The mail is not awaited, so the response takes the same time whether
+    // or not the email is registered
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      sendPasswordResetEmail(user)
+        .catch(error => console.error('Password reset email error:', error));
+    }
 
+    // Same response whether or not the email is registered
     res.json({
       success: true,
-      message: 'Профайл амжилттай шинэчлэгдлээ',
-      data: {
-        user
-      }
+      message: 'Хэрэв энэ имэйл бүртгэлтэй бол нууц үг сэргээх холбоос илгээгдлээ'
     });
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Forgot password error:', error);
     res.status(500).json({
       success: false,
       message: 'Серверийн алдаа'
@@ -322,23 +647,48 @@ router.put('/profile', auth, [
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user
-// @access  Private
-router.post('/logout', auth, async (req, res) => {
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Токен оруулна уу'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Нууц үг хамгийн багадаа 6 тэмдэгт байх ёстой')
+], async (req, res) => {
   try {
-    // Update user status to offline
-    await User.findByIdAndUpdate(req.user._id, {
-      status: 'offline',
-      lastSeen: new Date()
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserByResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Сэргээх холбоос хүчингүй эсвэл хугацаа нь дууссан байна'
+      });
+    }
+
+    await setPassword(user, req.body.password);
+
+    // Sign out everywhere: whoever knew the old password loses access
+    await revokeUserSessions(user._id, { reason: 'password_changed' });
+    await disconnectSessionSockets(req.app.get('io'), user._id);
 
     res.json({
       success: true,
-      message: 'Амжилттай гарлаа'
+      message: 'Нууц үг амжилттай солигдлоо. Дахин нэвтэрнэ үү'
     });
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Reset password error:', error);
     res.status(500).json({
       success: false,
       message: 'Серверийн алдаа'
@@ -346,134 +696,1399 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/users/:id/follow
-// @desc    Follow a user
+// @route   PUT /api/auth/password
+// @desc    Change password (requires the current password)
 // @access  Private
-router.post('/users/:id/follow', auth, async (req, res) => {
+router.put('/password', auth, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Одоогийн нууц үг оруулна уу'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Нууц үг хамгийн багадаа 6 тэмдэгт байх ёстой')
+], async (req, res) => {
   try {
-    const userToFollow = await User.findById(req.params.id);
-    const currentUser = await User.findById(req.user._id);
-    if (!userToFollow) {
-      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
-    }
-    if (userToFollow._id.equals(currentUser._id)) {
-      return res.status(400).json({ success: false, message: 'Өөрийгөө дагах боломжгүй' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
     }
-    if (userToFollow.followers.includes(currentUser._id)) {
-      return res.status(400).json({ success: false, message: 'Та аль хэдийн дагасан байна' });
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Одоогийн нууц үг буруу байна'
+      });
     }
-    if (userToFollow.privateProfile) {
-      if (userToFollow.followRequests.includes(currentUser._id)) {
-        return res.status(400).json({ success: false, message: 'Дагах хүсэлт илгээсэн байна' });
-      }
-      userToFollow.followRequests.push(currentUser._id);
-      await userToFollow.save();
-      return res.json({ success: true, message: 'Дагах хүсэлт илгээгдлээ', data: { followRequests: userToFollow.followRequests } });
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Шинэ нууц үг хуучин нууц үгээс өөр байх ёстой'
+      });
     }
-    userToFollow.followers.push(currentUser._id);
-    currentUser.following.push(userToFollow._id);
-    await userToFollow.save();
-    await currentUser.save();
-    res.json({ success: true, message: 'Дагах амжилттай', data: { followers: userToFollow.followers, following: currentUser.following } });
+
+    await setPassword(user, newPassword);
+
+    // Keep this device signed in, sign out every other one
+    await revokeUserSessions(user._id, {
+      exceptSessionId: req.authSession._id,
+      reason: 'password_changed'
+    });
+    await disconnectSessionSockets(req.app.get('io'), user._id, { keepSessionId: req.authSession._id });
+
+    res.json({
+      success: true,
+      message: 'Нууц үг амжилттай солигдлоо'
+    });
   } catch (error) {
-    console.error('Follow error:', error);
-    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
   }
 });
 
-// @route   POST /api/users/:id/unfollow
-// @desc    Unfollow a user
-// @access  Private
-router.post('/users/:id/unfollow', auth, async (req, res) => {
-  try {
-    const userToUnfollow = await User.findById(req.params.id);
-    const currentUser = await User.findById(req.user._id);
-    if (!userToUnfollow) {
-      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh токен оруулна уу')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Сесс хүчингүй болсон. Дахин нэвтэрнэ үү'
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = result;
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List enabled social sign-in providers
+// @access  Public
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: getEnabledProviders()
+    }
+  });
+});
+
+// @route   POST /api/auth/oauth/:provider
+// @desc    Sign in (or sign up) with a provider ID token
+// @access  Public
+router.post('/oauth/:provider', [
+  body('idToken')
+    .isString()
+    .notEmpty()
+    .withMessage('ID токен оруулна уу'),
+  body('nonce')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Нэвтрэх үйлчилгээ олдсонгүй'
+      });
+    }
+
+    if (provider.requireNonce && !req.body.nonce) {
+      return res.status(400).json({
+        success: false,
+        message: 'nonce шаардлагатай'
+      });
+    }
+
+    const identity = await verifyIdToken(provider, req.body.idToken, { nonce: req.body.nonce });
+    if (!identity) {
+      return res.status(401).json({
+        success: false,
+        message: 'Хүчингүй токен'
+      });
+    }
+
+    // 1. Already linked identity
+    let user = await User.findOne({
+      'identities.provider': identity.provider,
+      'identities.subject': identity.subject
+    });
+
+    // 2. Existing account with the same, provider-verified email
+    if (!user && identity.email) {
+      const existingUser = await User.findOne({ email: identity.email });
+      if (existingUser) {
+        if (!identity.emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'Энэ имэйлээр бүртгэл байна. Нууц үгээрээ нэвтэрнэ үү'
+          });
+        }
+        // An unverified account may have been registered by someone else
+        // with this email. The provider proves ownership, so whoever set
+        // the password loses access before the account is linked.
+        if (!existingUser.isVerified) {
+          existingUser.password = undefined;
+          existingUser.isVerified = true;
+          existingUser.verifiedAt = new Date();
+          await revokeUserSessions(existingUser._id, { reason: 'account_linked' });
+          await disconnectSessionSockets(req.app.get('io'), existingUser._id);
+        }
+        existingUser.identities.push({
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email
+        });
+        await existingUser.save();
+        user = existingUser;
+      }
+    }
+
+    if (user && isPendingPurge(user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Хэрэглэгч олдсонгүй'
+      });
+    }
+
+    // 3. New account
+    let isNewUser = false;
+    if (!user) {
+      if (!identity.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Имэйл хаягийн зөвшөөрөл шаардлагатай'
+        });
+      }
+
+      const emailPrefix = identity.email.split('@')[0];
+      user = new User({
+        name: (identity.name || emailPrefix).slice(0, 50),
+        username: await generateUniqueUsername([identity.name, emailPrefix]),
+        email: identity.email,
+        avatar: identity.picture || '',
+        isVerified: identity.emailVerified,
+        verifiedAt: identity.emailVerified ? new Date() : undefined,
+        identities: [{
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email
+        }]
+      });
+      await user.save();
+      isNewUser = true;
+    }
+
+    if (isNewUser) {
+      res.status(201);
+    }
+    await startLogin(user, req, res);
+  } catch (error) {
+    console.error('OAuth login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: verify a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Токен оруулна уу'),
+  body('code')
+    .optional()
+    .isString(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken, 'user');
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Хугацаа дууссан. Дахин нэвтэрнэ үү'
+      });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || isPendingPurge(user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Хугацаа дууссан. Дахин нэвтэрнэ үү'
+      });
+    }
+
+    const throttle = await checkLoginAllowed(user.email);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfter);
+    }
+
+    const { code, recoveryCode } = req.body;
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await recordLoginFailure(user.email);
+      return res.status(400).json({
+        success: false,
+        message: 'Баталгаажуулах код буруу байна'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (returns secret and otpauth URI)
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Хоёр шаттай баталгаажуулалт аль хэдийн идэвхтэй байна'
+      });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(user, user.email);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Баталгаажуулах код оруулна уу')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Эхлээд тохиргоог эхлүүлнэ үү'
+      });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Баталгаажуулах код буруу байна'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Хоёр шаттай баталгаажуулалт идэвхжлээ',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication (password, if the account has
+//          one, plus a TOTP or recovery code)
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Хоёр шаттай баталгаажуулалт идэвхгүй байна'
+      });
+    }
+
+    // Accounts created through social sign-in may not have a password; the
+    // second factor alone proves possession for them
+    const { password, code, recoveryCode } = req.body;
+    const isPasswordValid = !user.password || await user.comparePassword(password);
+    const isCodeValid = isPasswordValid && await verifySecondFactor(user, { code, recoveryCode });
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Нууц үг эсвэл баталгаажуулах код буруу байна'
+      });
+    }
+
+    await disableTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Хоёр шаттай баталгаажуулалт идэвхгүй боллоо'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Баталгаажуулах код оруулна уу')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    const isValid = await verifySecondFactor(user, { code: req.body.code });
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Баталгаажуулах код буруу байна'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        user: req.user
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update user profile
+// @access  Private
+router.put('/profile', auth, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Нэр 2-50 тэмдэгт байх ёстой'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Био 500 тэмдэгтээс бага байх ёстой'),
+  body('avatar')
+    .optional()
+    .isString()
+    .withMessage('Зураг буруу байна'),
+  body('coverImage')
+    .optional()
+    .isString()
+    .withMessage('Ковер зураг буруу байна'),
+  body('privateProfile')
+    .optional()
+    .isBoolean()
+    .withMessage('Хувийн профайл утга буруу байна'),
+  body('messagePrivacy')
+    .optional()
+    .isIn(['everyone', 'friends'])
+    .withMessage('Мессежийн нууцлалын утга буруу байна')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const { name, bio, avatar, coverImage, privateProfile, messagePrivacy } = req.body;
+    const updateFields = {};
+
+    if (name) updateFields.name = name;
+    if (bio !== undefined) updateFields.bio = bio;
+    if (avatar) updateFields.avatar = avatar;
+    if (coverImage) updateFields.coverImage = coverImage;
+    if (privateProfile !== undefined) updateFields.privateProfile = privateProfile;
+    if (messagePrivacy) updateFields.messagePrivacy = messagePrivacy;
+
+    // Load and save (rather than findByIdAndUpdate) so the search index
+    // is rebuilt by the save hook
+    const user = await User.findById(req.user._id);
+    user.set(updateFields);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Профайл амжилттай шинэчлэгдлээ',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   PUT /api/auth/privacy
+// @desc    Update who can see online status, last seen and read receipts
+// @access  Private
+router.put('/privacy', auth, [
+  body('lastSeen')
+    .optional()
+    .isIn(['everyone', 'contacts', 'nobody'])
+    .withMessage('Нууцлалын утга буруу байна'),
+  body('onlineStatus')
+    .optional()
+    .isIn(['everyone', 'contacts', 'nobody'])
+    .withMessage('Нууцлалын утга буруу байна'),
+  body('readReceipts')
+    .optional()
+    .isBoolean()
+    .withMessage('Нууцлалын утга буруу байна')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const updateFields = {};
+    for (const field of ['lastSeen', 'onlineStatus', 'readReceipts']) {
+      if (req.body[field] !== undefined) updateFields[`privacy.${field}`] = req.body[field];
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updateFields, { new: true, runValidators: true });
+
+    res.json({
+      success: true,
+      message: 'Нууцлалын тохиргоо шинэчлэгдлээ',
+      data: { privacy: user.privacy }
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   PUT /api/auth/username
+// @desc    Change username (cooldown applies, old username is reserved)
+// @access  Private
+router.put('/username', auth, async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!validateInput.username(username)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Хэрэглэгчийн нэр 3-30 тэмдэгт, зөвхөн үсэг, тоо, _ агуулж болно'
+      });
+    }
+
+    const newUsername = username.toLowerCase();
+    const user = await User.findById(req.user._id);
+
+    if (newUsername === user.username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Шинэ хэрэглэгчийн нэр одоогийнхоос өөр байх ёстой'
+      });
+    }
+
+    const nextChangeAt = getNextUsernameChangeAt(user);
+    if (nextChangeAt) {
+      return res.status(429).json({
+        success: false,
+        message: 'Хэрэглэгчийн нэрийг дахин солих хугацаа болоогүй байна',
+        data: { nextChangeAt }
+      });
+    }
+
+    if (await isUsernameTaken(newUsername, { exceptUserId: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Энэ хэрэглэгчийн нэр боломжгүй байна'
+      });
+    }
+
+    const previousUsername = await changeUsername(user, newUsername);
+
+    res.json({
+      success: true,
+      message: 'Хэрэглэгчийн нэр амжилттай солигдлоо',
+      data: {
+        user,
+        previousUsername
+      }
+    });
+  } catch (error) {
+    // Unique index race: someone took the name in the meantime
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Энэ хэрэглэгчийн нэр боломжгүй байна'
+      });
+    }
+    console.error('Change username error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   GET /api/auth/username/history
+// @desc    Get own username history
+// @access  Private
+router.get('/username/history', auth, async (req, res) => {
+  try {
+    const history = await UsernameHistory.find({ user: req.user._id })
+      .select('username changedAt reservedUntil')
+      .sort({ changedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        nextChangeAt: getNextUsernameChangeAt(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get username history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    // Revoke the current session so its tokens stop working
+    await revokeSession(req.authSession._id, 'logout');
+    // Presence goes offline once the user's last socket disconnects
+    await disconnectSessionSockets(req.app.get('io'), req.user._id, { sessionIds: [req.authSession._id] });
+
+    res.json({
+      success: true,
+      message: 'Амжилттай гарлаа'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single session
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Сесс олдсонгүй' });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Сесс олдсонгүй' });
+    }
+
+    await session.revoke('user_revoked');
+    await disconnectSessionSockets(req.app.get('io'), req.user._id, { sessionIds: [session._id] });
+
+    res.json({ success: true, message: 'Сесс амжилттай хаагдлаа' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all other sessions
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, {
+      exceptSessionId: req.authSession._id,
+      reason: 'user_revoked'
+    });
+    await disconnectSessionSockets(req.app.get('io'), req.user._id, { keepSessionId: req.authSession._id });
+
+    res.json({
+      success: true,
+      message: 'Бусад бүх сесс хаагдлаа',
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user (private profiles get a follow request)
+// @access  Private
+router.post('/users/:id/follow', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    const userToFollow = await User.findOne({ _id: req.params.id, deactivatedAt: null }).select('privateProfile');
+    if (!userToFollow) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (userToFollow._id.equals(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'Өөрийгөө дагах боломжгүй' });
+    }
+    if (await isBlockedBetween(req.user._id, userToFollow._id)) {
+      return res.status(403).json({ success: false, message: 'Энэ хэрэглэгчийг дагах боломжгүй' });
+    }
+
+    const status = await followUser(req.user._id, userToFollow);
+    if (!status) {
+      const existing = await Follow.findOne({ follower: req.user._id, following: userToFollow._id }).select('status');
+      return res.status(400).json({
+        success: false,
+        message: existing && existing.status === 'pending' ? 'Дагах хүсэлт илгээсэн байна' : 'Та аль хэдийн дагасан байна'
+      });
+    }
+
+    if (status === 'pending') {
+      return res.json({ success: true, message: 'Дагах хүсэлт илгээгдлээ', data: { status } });
+    }
+    res.json({ success: true, message: 'Дагах амжилттай', data: { status, ...(await getFollowCounts(userToFollow._id)) } });
+  } catch (error) {
+    console.error('Follow error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/unfollow
+// @desc    Unfollow a user
+// @access  Private
+router.post('/users/:id/unfollow', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Өөрийгөө дагах боломжгүй' });
+    }
+    await unfollowUser(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Дагахаа болилоо', data: await getFollowCounts(req.params.id) });
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/accept-request
+// @desc    Accept a follow request
+// @access  Private
+router.post('/users/:id/accept-request', auth, async (req, res) => {
+  try {
+    const requesterId = req.body.requesterId;
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) {
+      return res.status(400).json({ success: false, message: 'Дагах хүсэлт олдсонгүй' });
+    }
+    if (await isBlockedBetween(req.user._id, requesterId)) {
+      return res.status(403).json({ success: false, message: 'Энэ хэрэглэгчийг зөвшөөрөх боломжгүй' });
+    }
+    if (!(await acceptFollowRequest(req.user._id, requesterId))) {
+      return res.status(400).json({ success: false, message: 'Дагах хүсэлт олдсонгүй' });
+    }
+    res.json({ success: true, message: 'Дагах хүсэлт зөвшөөрөгдлөө', data: await getFollowCounts(req.user._id) });
+  } catch (error) {
+    console.error('Accept request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/reject-request
+// @desc    Reject a follow request
+// @access  Private
+router.post('/users/:id/reject-request', auth, async (req, res) => {
+  try {
+    const requesterId = req.body.requesterId;
+    if (!mongoose.Types.ObjectId.isValid(requesterId) || !(await removeFollowRequest(requesterId, req.user._id))) {
+      return res.status(400).json({ success: false, message: 'Дагах хүсэлт олдсонгүй' });
+    }
+    res.json({ success: true, message: 'Дагах хүсэлт цуцлагдлаа' });
+  } catch (error) {
+    console.error('Reject request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/cancel-follow-request
+// @desc    Cancel a follow request
+// @access  Private
+router.post('/users/:id/cancel-follow-request', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    await removeFollowRequest(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Дагах хүсэлт цуцлагдлаа' });
+  } catch (error) {
+    console.error('Cancel follow request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/friend-request
+// @desc    Send a friend request (accepts immediately if they already asked)
+// @access  Private
+router.post('/users/:id/friend-request', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Өөртөө найзын хүсэлт илгээх боломжгүй' });
+    }
+
+    const target = await User.findOne({ _id: req.params.id, deactivatedAt: null }).select('friends friendRequests');
+    if (!target || await isBlockedBetween(req.user._id, target._id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (target.friends.some(id => id.equals(req.user._id))) {
+      return res.status(400).json({ success: false, message: 'Та аль хэдийн найзууд байна' });
+    }
+    if (target.friendRequests.some(id => id.equals(req.user._id))) {
+      return res.status(400).json({ success: false, message: 'Найзын хүсэлт илгээсэн байна' });
+    }
+
+    // They already asked us: treat this as accepting their request
+    if (req.user.friendRequests.some(id => id.equals(target._id))) {
+      await addFriendship(req.user._id, target._id);
+      return res.json({ success: true, message: 'Найзууд боллоо', data: { status: 'friends' } });
+    }
+
+    await User.updateOne({ _id: target._id }, { $addToSet: { friendRequests: req.user._id } });
+    res.json({ success: true, message: 'Найзын хүсэлт илгээгдлээ', data: { status: 'pending' } });
+  } catch (error) {
+    console.error('Send friend request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/friend-request/accept
+// @desc    Accept a friend request from user :id
+// @access  Private
+router.post('/users/:id/friend-request/accept', auth, async (req, res) => {
+  try {
+    if (!req.user.friendRequests.some(id => id.equals(req.params.id))) {
+      return res.status(404).json({ success: false, message: 'Найзын хүсэлт олдсонгүй' });
+    }
+
+    const requester = await User.findOne({ _id: req.params.id, deactivatedAt: null }).select('_id');
+    if (!requester || await isBlockedBetween(req.user._id, requester._id)) {
+      await User.updateOne({ _id: req.user._id }, { $pull: { friendRequests: req.params.id } });
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+
+    await addFriendship(req.user._id, requester._id);
+    res.json({ success: true, message: 'Найзын хүсэлт зөвшөөрөгдлөө' });
+  } catch (error) {
+    console.error('Accept friend request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/friend-request/decline
+// @desc    Decline a friend request from user :id
+// @access  Private
+router.post('/users/:id/friend-request/decline', auth, async (req, res) => {
+  try {
+    if (!req.user.friendRequests.some(id => id.equals(req.params.id))) {
+      return res.status(404).json({ success: false, message: 'Найзын хүсэлт олдсонгүй' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { friendRequests: req.params.id } });
+    res.json({ success: true, message: 'Найзын хүсэлтээс татгалзлаа' });
+  } catch (error) {
+    console.error('Decline friend request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/friend-request/cancel
+// @desc    Cancel a friend request sent to user :id
+// @access  Private
+router.post('/users/:id/friend-request/cancel', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Найзын хүсэлт олдсонгүй' });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.params.id, friendRequests: req.user._id },
+      { $pull: { friendRequests: req.user._id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Найзын хүсэлт олдсонгүй' });
+    }
+
+    res.json({ success: true, message: 'Найзын хүсэлт цуцлагдлаа' });
+  } catch (error) {
+    console.error('Cancel friend request error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/unfriend
+// @desc    Remove a friend
+// @access  Private
+router.post('/users/:id/unfriend', auth, async (req, res) => {
+  try {
+    if (!req.user.friends.some(id => id.equals(req.params.id))) {
+      return res.status(400).json({ success: false, message: 'Та найзууд биш байна' });
     }
-    if (userToUnfollow._id.equals(currentUser._id)) {
-      return res.status(400).json({ success: false, message: 'Өөрийгөө дагах боломжгүй' });
+
+    await removeFriendship(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Найзаас хаслаа' });
+  } catch (error) {
+    console.error('Unfriend error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/friend-requests
+// @desc    Get incoming and outgoing friend requests
+// @access  Private
+router.get('/friend-requests', auth, async (req, res) => {
+  try {
+    const [user, outgoing] = await Promise.all([
+      User.findById(req.user._id)
+        .populate({
+          path: 'friendRequests',
+          match: { deactivatedAt: null },
+          select: 'name username avatar'
+        })
+        .select('friendRequests'),
+      User.find({ friendRequests: req.user._id, deactivatedAt: null })
+        .select('name username avatar')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        incoming: user.friendRequests,
+        outgoing
+      }
+    });
+  } catch (error) {
+    console.error('Get friend requests error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/users/:id/friends
+// @desc    Get a user's friends (cursor paginated, with mutual friend counts)
+// @access  Private
+router.get('/users/:id/friends', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+
+    const user = await User.findById(req.params.id).select('friends privateProfile deactivatedAt');
+    const isSelf = req.user._id.equals(req.params.id);
+    if (!user || (user.deactivatedAt && !isSelf) || await isBlockedBetween(req.user._id, user._id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+
+    const canView = user.friends.some(id => id.equals(req.user._id)) ||
+      await canViewProfile(req.user._id, user);
+    if (!canView) {
+      return res.status(403).json({ success: false, message: 'Энэ профайл хувийн байна' });
     }
-    userToUnfollow.followers = userToUnfollow.followers.filter(f => !f.equals(currentUser._id));
-    currentUser.following = currentUser.following.filter(f => !f.equals(userToUnfollow._id));
-    await userToUnfollow.save();
-    await currentUser.save();
-    res.json({ success: true, message: 'Дагахаа болилоо', data: { followers: userToUnfollow.followers, following: currentUser.following } });
+
+    const page = await findUsersPage(user.friends, req, {
+      select: 'name username avatar friends',
+      transform: ({ friends: theirFriends, ...friend }) => ({
+        ...friend,
+        mutualFriendsCount: friend._id.equals(req.user._id)
+          ? 0
+          : countMutualFriends(req.user.friends, theirFriends)
+      })
+    });
+    if (!page) {
+      return res.status(400).json({ success: false, message: 'Курсор буруу байна' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        friends: page.items,
+        mutualFriendsCount: isSelf ? 0 : countMutualFriends(req.user.friends, user.friends),
+        pagination: page.pagination
+      }
+    });
   } catch (error) {
-    console.error('Unfollow error:', error);
+    console.error('Get friends error:', error);
     res.status(500).json({ success: false, message: 'Серверийн алдаа' });
   }
 });
 
-// @route   POST /api/users/:id/accept-request
-// @desc    Accept a follow request
+// @route   POST /api/users/:id/block
+// @desc    Block a user (also removes follows in both directions)
 // @access  Private
-router.post('/users/:id/accept-request', auth, async (req, res) => {
+router.post('/users/:id/block', auth, async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user._id);
-    const requesterId = req.body.requesterId;
-    if (!currentUser) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
     }
-    if (!currentUser.followRequests.includes(requesterId)) {
-      return res.status(400).json({ success: false, message: 'Дагах хүсэлт олдсонгүй' });
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Өөрийгөө хаах боломжгүй' });
     }
-    // Remove from followRequests, add to followers
-    currentUser.followRequests = currentUser.followRequests.filter(id => id.toString() !== requesterId);
-    currentUser.followers.push(requesterId);
-    await currentUser.save();
-    // Also add to requester's following
-    const requester = await User.findById(requesterId);
-    if (requester) {
-      requester.following.push(currentUser._id);
-      await requester.save();
+
+    const userToBlock = await User.findById(req.params.id).select('_id');
+    if (!userToBlock) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
     }
-    res.json({ success: true, message: 'Дагах хүсэлт зөвшөөрөгдлөө', data: { followers: currentUser.followers } });
+
+    await blockUser(req.user._id, userToBlock._id);
+    res.json({ success: true, message: 'Хэрэглэгчийг хаалаа' });
   } catch (error) {
-    console.error('Accept request error:', error);
+    console.error('Block user error:', error);
     res.status(500).json({ success: false, message: 'Серверийн алдаа' });
   }
 });
 
-// @route   POST /api/users/:id/reject-request
-// @desc    Reject a follow request
+// @route   POST /api/users/:id/unblock
+// @desc    Unblock a user
 // @access  Private
-router.post('/users/:id/reject-request', auth, async (req, res) => {
+router.post('/users/:id/unblock', auth, async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user._id);
-    const requesterId = req.body.requesterId;
-    if (!currentUser) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
     }
-    if (!currentUser.followRequests.includes(requesterId)) {
-      return res.status(400).json({ success: false, message: 'Дагах хүсэлт олдсонгүй' });
+
+    await unblockUser(req.user._id, req.params.id);
+    res.json({ success: true, message: 'Хэрэглэгчийн хаалтыг цуцаллаа' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/blocked
+// @desc    Get users blocked by the current user
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'name username avatar')
+      .select('blockedUsers');
+
+    res.json({
+      success: true,
+      data: { blockedUsers: user.blockedUsers }
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/mute
+// @desc    Mute a user (hides their posts and notifications)
+// @access  Private
+router.post('/users/:id/mute', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Өөрийгөө дуугүй болгох боломжгүй' });
+    }
+
+    const target = await User.findById(req.params.id).select('_id');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
     }
-    // Remove from followRequests
-    currentUser.followRequests = currentUser.followRequests.filter(id => id.toString() !== requesterId);
-    await currentUser.save();
-    res.json({ success: true, message: 'Дагах хүсэлт цуцлагдлаа', data: { followRequests: currentUser.followRequests } });
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { mutedUsers: target._id } });
+    res.json({ success: true, message: 'Хэрэглэгчийг дуугүй болголоо' });
   } catch (error) {
-    console.error('Reject request error:', error);
+    console.error('Mute user error:', error);
     res.status(500).json({ success: false, message: 'Серверийн алдаа' });
   }
 });
 
-// @route   POST /api/users/:id/cancel-follow-request
-// @desc    Cancel a follow request
+// @route   POST /api/users/:id/unmute
+// @desc    Unmute a user
 // @access  Private
-router.post('/users/:id/cancel-follow-request', auth, async (req, res) => {
+router.post('/users/:id/unmute', auth, async (req, res) => {
   try {
-    const userToCancel = await User.findById(req.params.id);
-    const currentUser = await User.findById(req.user._id);
-    if (!userToCancel) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
     }
-    // Remove from followRequests
-    userToCancel.followRequests = userToCancel.followRequests.filter(id => id.toString() !== currentUser._id.toString());
-    await userToCancel.save();
-    res.json({ success: true, message: 'Дагах хүсэлт цуцлагдлаа', data: { followRequests: userToCancel.followRequests } });
+    await User.updateOne({ _id: req.user._id }, { $pull: { mutedUsers: req.params.id } });
+    res.json({ success: true, message: 'Дуугүй болголтыг цуцаллаа' });
   } catch (error) {
-    console.error('Cancel follow request error:', error);
+    console.error('Unmute user error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/restrict
+// @desc    Restrict a user (their comments on your posts need approval)
+// @access  Private
+router.post('/users/:id/restrict', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Өөрийгөө хязгаарлах боломжгүй' });
+    }
+
+    const target = await User.findById(req.params.id).select('_id');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { restrictedUsers: target._id } });
+    res.json({ success: true, message: 'Хэрэглэгчийг хязгаарлалаа' });
+  } catch (error) {
+    console.error('Restrict user error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/users/:id/unrestrict
+// @desc    Remove a restriction
+// @access  Private
+router.post('/users/:id/unrestrict', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    await User.updateOne({ _id: req.user._id }, { $pull: { restrictedUsers: req.params.id } });
+    res.json({ success: true, message: 'Хязгаарлалтыг цуцаллаа' });
+  } catch (error) {
+    console.error('Unrestrict user error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/muted
+// @desc    Get users muted by the current user
+// @access  Private
+router.get('/muted', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('mutedUsers', 'name username avatar')
+      .select('mutedUsers');
+
+    res.json({
+      success: true,
+      data: { mutedUsers: user.mutedUsers }
+    });
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/restricted
+// @desc    Get users restricted by the current user
+// @access  Private
+router.get('/restricted', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('restrictedUsers', 'name username avatar')
+      .select('restrictedUsers');
+
+    res.json({
+      success: true,
+      data: { restrictedUsers: user.restrictedUsers }
+    });
+  } catch (error) {
+    console.error('Get restricted users error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// Load a profile for a follower/following listing, applying block and
+// privacy rules. Sends the error response and returns null if not allowed.
+const loadFollowListOwner = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id).select('privateProfile deactivatedAt');
+  const isSelf = req.user._id.equals(req.params.id);
+  if (!user || (user.deactivatedAt && !isSelf) || await isBlockedBetween(req.user._id, user._id)) {
+    res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    return null;
+  }
+
+  if (!(await canViewProfile(req.user._id, user))) {
+    res.status(403).json({ success: false, message: 'Энэ профайл хувийн байна' });
+    return null;
+  }
+
+  return user;
+};
+
+const getPageOptions = (req) => ({
+  cursor: req.query.cursor,
+  limit: Math.min(parseInt(req.query.limit) || 20, 100)
+});
+
+// @route   GET /api/users/:id/followers
+// @desc    Get a user's followers (cursor paginated)
+// @access  Private
+router.get('/users/:id/followers', auth, async (req, res) => {
+  try {
+    const user = await loadFollowListOwner(req, res);
+    if (!user) return;
+
+    const page = await findFollowPage({ following: user._id, status: 'accepted' }, 'follower', getPageOptions(req));
+    if (!page) {
+      return res.status(400).json({ success: false, message: 'Курсор буруу байна' });
+    }
+
+    const followers = await addFollowState(req.user._id, page.users);
+    res.json({ success: true, data: { followers, pagination: page.pagination } });
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/users/:id/following
+// @desc    Get users a user follows (cursor paginated)
+// @access  Private
+router.get('/users/:id/following', auth, async (req, res) => {
+  try {
+    const user = await loadFollowListOwner(req, res);
+    if (!user) return;
+
+    const page = await findFollowPage({ follower: user._id, status: 'accepted' }, 'following', getPageOptions(req));
+    if (!page) {
+      return res.status(400).json({ success: false, message: 'Курсор буруу байна' });
+    }
+
+    const following = await addFollowState(req.user._id, page.users);
+    res.json({ success: true, data: { following, pagination: page.pagination } });
+  } catch (error) {
+    console.error('Get following list error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/follow-requests
+// @desc    Get pending follow requests to the current user (cursor paginated)
+// @access  Private
+router.get('/follow-requests', auth, async (req, res) => {
+  try {
+    const page = await findFollowPage({ following: req.user._id, status: 'pending' }, 'follower', getPageOptions(req));
+    if (!page) {
+      return res.status(400).json({ success: false, message: 'Курсор буруу байна' });
+    }
+
+    const followRequests = await addFollowState(req.user._id, page.users);
+    res.json({ success: true, data: { followRequests, pagination: page.pagination } });
+  } catch (error) {
+    console.error('Get follow requests error:', error);
     res.status(500).json({ success: false, message: 'Серверийн алдаа' });
   }
 });
@@ -483,17 +2098,23 @@ router.post('/users/:id/cancel-follow-request', auth, async (req, res) => {
 // @access  Private
 router.get('/following', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate('following', 'name username avatar status lastSeen')
-      .select('following');
-    
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
-    }
+    const edges = await Follow.find({ follower: req.user._id, status: 'accepted' })
+      .populate({
+        path: 'following',
+        match: { deactivatedAt: null },
+        select: 'name username avatar status lastSeen privacy'
+      })
+      .select('following')
+      .lean();
 
-    res.json({ 
-      success: true, 
-      data: { following: user.following } 
+    // Followed accounts are contacts, so "contacts" presence is visible
+    const following = edges
+      .filter(edge => edge.following)
+      .map(edge => applyPresencePrivacy(edge.following, { isSelf: false, isContact: true }));
+
+    res.json({
+      success: true,
+      data: { following }
     });
   } catch (error) {
     console.error('Get following error:', error);
@@ -501,6 +2122,121 @@ router.get('/following', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/export
+// @desc    Request an archive of all account data (built in the background)
+// @access  Private
+router.post('/export', auth, async (req, res) => {
+  try {
+    // Only one export runs per user at a time
+    const activeJob = await ExportJob.findOne({
+      user: req.user._id,
+      status: { $in: ['queued', 'processing'] }
+    });
+    if (activeJob) {
+      return res.status(202).json({
+        success: true,
+        message: 'Өгөгдлийн экспорт бэлтгэгдэж байна',
+        data: { job: activeJob }
+      });
+    }
+
+    const job = await ExportJob.create({ user: req.user._id });
+    enqueueExport(job._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Өгөгдлийн экспорт эхэллээ',
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Create export error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/export/:id
+// @desc    Get data export status
+// @access  Private
+router.get('/export/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Экспорт олдсонгүй' });
+    }
+
+    const job = await ExportJob.findOne({ _id: req.params.id, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Экспорт олдсонгүй' });
+    }
+
+    res.json({ success: true, data: { job } });
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   GET /api/auth/export/:id/download
+// @desc    Download a completed data export
+// @access  Private
+router.get('/export/:id/download', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Экспорт олдсонгүй' });
+    }
+
+    const job = await ExportJob.findOne({ _id: req.params.id, user: req.user._id }).select('+filePath');
+    if (!job || job.status !== 'completed' || !job.filePath || job.expiresAt <= new Date()) {
+      return res.status(404).json({ success: false, message: 'Экспорт олдсонгүй' });
+    }
+
+    res.download(job.filePath, job.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download export error:', error);
+        res.status(404).json({ success: false, message: 'Экспорт олдсонгүй' });
+      }
+    });
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// @route   POST /api/auth/deactivate
+// @desc    Deactivate account (reversible by logging in within the grace period)
+// @access  Private
+router.post('/deactivate', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    // Accounts created through social sign-in may not have a password
+    if (user.password) {
+      const isPasswordValid = await user.comparePassword(req.body.password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Нууц үг буруу байна'
+        });
+      }
+    }
+
+    const purgeAt = await deactivateUser(user, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Акаунт идэвхгүй боллоо. Дахин нэвтэрч сэргээх боломжтой',
+      data: {
+        purgeAt
+      }
+    });
+  } catch (error) {
+    console.error('Deactivate account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
 // Delete account endpoint
 router.delete('/delete-account', auth, async (req, res) => {
   try {
@@ -523,7 +2259,7 @@ router.delete('/delete-account', auth, async (req, res) => {
     }
 
     // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       return res.status(400).json({ 
         success: false, 
@@ -531,70 +2267,9 @@ router.delete('/delete-account', auth, async (req, res) => {
       });
     }
 
-    // Delete user's posts and associated media
-    const Post = require('../models/Post');
-    const Chat = require('../models/Chat');
-    const Notification = require('../models/Notification');
-    const { deleteFile } = require('../config/cloudinary');
-
-    // Delete user's posts and their media from Cloudinary
-    const userPosts = await Post.find({ author: user._id });
-    for (const post of userPosts) {
-      // Delete media from Cloudinary
-      if (post.media && post.media.length > 0) {
-        for (const mediaItem of post.media) {
-          if (mediaItem.publicId) {
-            try {
-              await deleteFile(mediaItem.publicId);
-            } catch (error) {
-              console.error('Error deleting media from Cloudinary:', error);
-            }
-          }
-        }
-      }
-    }
-    
-    // Delete all user's posts
-    await Post.deleteMany({ author: user._id });
-
-    // Remove user from all chats
-    await Chat.updateMany(
-      { participants: user._id },
-      { $pull: { participants: user._id } }
-    );
-
-    // Delete empty chats (chats with less than 2 participants)
-    await Chat.deleteMany({ 
-      $expr: { $lt: [{ $size: '$participants' }, 2] } 
-    });
-
-    // Delete notifications related to this user
-    await Notification.deleteMany({
-      $or: [
-        { from: user._id },
-        { to: user._id }
-      ]
-    });
-
-    // Delete user's avatar and cover image from Cloudinary
-    if (user.avatarPublicId) {
-      try {
-        await deleteFile(user.avatarPublicId);
-      } catch (error) {
-        console.error('Error deleting avatar from Cloudinary:', error);
-      }
-    }
-    
-    if (user.coverImagePublicId) {
-      try {
-        await deleteFile(user.coverImagePublicId);
-      } catch (error) {
-        console.error('Error deleting cover image from Cloudinary:', error);
-      }
-    }
-
-    // Finally, delete the user
-    await User.findByIdAndDelete(user._id);
+    // Delete the user together with posts, media, chats and notifications
+    await purgeUser(user);
+    await disconnectSessionSockets(req.app.get('io'), user._id);
 
     res.json({ 
       success: true, 
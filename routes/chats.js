@@ -1,12 +1,74 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { auth, optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requireVerified } = require('../middleware/auth');
+const { isBlockedBetween } = require('../services/blocks');
+const { getDirectMessageRestriction } = require('../services/friends');
+const { applyPresencePrivacy } = require('../services/presence');
+const {
+  getDirectChatRestriction,
+  sendMessage,
+  markDelivered,
+  hideReaders,
+  markRead,
+  encodeSyncCursor,
+  getMessageChanges,
+  getMessagePage
+} = require('../services/messages');
+const {
+  isMember,
+  isGroupAdmin,
+  canAddMembers,
+  addMembers,
+  removeMember,
+  setAdmin,
+  updateGroupProfile
+} = require('../services/groupChats');
+const {
+  emitToChat,
+  emitMessageEdited,
+  emitMessageDeleted,
+  emitReactionUpdated
+} = require('../socket/emitters');
 
 const router = express.Router();
 
+const PARTICIPANT_FIELDS = 'name username avatar status lastSeen deactivatedAt privacy';
+
+// Deactivated accounts show no presence in chats; everyone else's presence
+// follows their privacy settings (chat members count as contacts). The
+// fields loaded for these checks are not sent to the client.
+const applyParticipantPresence = (chat, viewerId) => {
+  for (const participant of chat.participants) {
+    if (!participant || !participant._id) continue;
+    if (participant.deactivatedAt) {
+      participant.status = 'offline';
+      participant.lastSeen = undefined;
+    } else {
+      applyPresencePrivacy(participant, {
+        isSelf: participant._id.equals(viewerId),
+        isContact: true
+      });
+    }
+    participant.privacy = undefined;
+    participant.deactivatedAt = undefined;
+  }
+  return chat;
+};
+
+const sendChatRestricted = (res, reason = 'blocked') => {
+  return res.status(403).json({
+    success: false,
+    message: reason === 'friends_only'
+      ? 'Энэ хэрэглэгч зөвхөн найзуудаасаа мессеж хүлээн авдаг'
+      : 'Энэ хэрэглэгчтэй харилцах боломжгүй',
+    data: { reason }
+  });
+};
+
 // @route   GET /api/chats
 // @desc    Get all chats for current user
 // @access  Private
@@ -19,7 +81,7 @@ router.get('/', auth, async (req, res) => {
       isActive: true,
       deletedBy: { $ne: req.user._id }
     })
-    .populate('participants', 'name username avatar status lastSeen')
+    .populate('participants', PARTICIPANT_FIELDS)
     .populate('lastMessage.sender', 'name username avatar')
     .populate('lastMessage.id')
     .sort({ 'lastMessage.timestamp': -1 });
@@ -28,6 +90,7 @@ router.get('/', auth, async (req, res) => {
     
     // Add unread count for each chat
     const chatsWithUnreadCount = chats.map(chat => {
+      applyParticipantPresence(chat, req.user._id);
       const unreadData = chat.unreadCounts.find(item => 
         item.user.toString() === req.user._id.toString()
       );
@@ -59,7 +122,7 @@ router.get('/', auth, async (req, res) => {
 // @route   POST /api/chats
 // @desc    Create a new chat
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requireVerified, [
   body('type')
     .isIn(['direct', 'group'])
     .withMessage('Чат төрөл буруу байна'),
@@ -86,6 +149,22 @@ router.post('/', auth, [
     // Add current user to participants if not already included
     const allParticipants = [...new Set([...participants, req.user._id.toString()])];
 
+    // Nobody can start a chat with someone they blocked or were blocked by
+    for (const participantId of allParticipants) {
+      if (await isBlockedBetween(req.user._id, participantId)) {
+        return sendChatRestricted(res, 'blocked');
+      }
+    }
+
+    // Direct chats also respect the other user's message privacy
+    if (type === 'direct') {
+      const otherId = allParticipants.find(id => id !== req.user._id.toString());
+      const restriction = otherId && await getDirectMessageRestriction(req.user._id, otherId);
+      if (restriction) {
+        return sendChatRestricted(res, restriction);
+      }
+    }
+
     // For direct chats, check if chat already exists
     if (type === 'direct' && allParticipants.length === 2) {
       const existingChat = await Chat.findOne({
@@ -101,7 +180,8 @@ router.post('/', auth, [
           console.log(`🔄 Restored soft-deleted chat ${existingChat._id} for user ${req.user._id}`);
           
           // Populate the chat with user data
-          await existingChat.populate('participants', 'name username avatar status lastSeen');
+          await existingChat.populate('participants', PARTICIPANT_FIELDS);
+          applyParticipantPresence(existingChat, req.user._id);
           
           return res.status(200).json({
             success: true,
@@ -145,7 +225,8 @@ router.post('/', auth, [
     await chat.save();
 
     // Populate the chat with user data
-    await chat.populate('participants', 'name username avatar status lastSeen');
+    await chat.populate('participants', PARTICIPANT_FIELDS);
+    applyParticipantPresence(chat, req.user._id);
 
     res.status(201).json({
       success: true,
@@ -173,7 +254,7 @@ router.get('/:id', auth, async (req, res) => {
       participants: req.user._id,
       isActive: true
     })
-    .populate('participants', 'name username avatar status lastSeen')
+    .populate('participants', PARTICIPANT_FIELDS)
     .populate('admins', 'name username avatar')
     .populate('lastMessage.sender', 'name username avatar');
 
@@ -184,6 +265,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
+    applyParticipantPresence(chat, req.user._id);
+
     res.json({
       success: true,
       data: {
@@ -199,13 +282,44 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Messages from others that a client fetched have reached that user
+const markFetchedDelivered = (req, chat, messages) => {
+  const ids = messages
+    .filter(message => !message.isDeleted && message.sender && !req.user._id.equals(message.sender._id || message.sender))
+    .map(message => message._id);
+  if (ids.length === 0) return;
+  markDelivered(req.app.get('io'), chat, req.user._id, ids)
+    .catch(error => console.error('Mark delivered error:', error));
+};
+
 // @route   GET /api/chats/:id/messages
-// @desc    Get messages for a chat
+// @desc    Get messages for a chat. Pages with ?before=, ?after= or ?around=
+//          (a message id; around jumps to that message). With
+//          ?since=<cursor or ISO date> returns every change after that
+//          point instead (deleted messages as tombstones). ?page= and
+//          ?skip= are rejected, except page=1
 // @access  Private
 router.get('/:id/messages', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const skip = (page - 1) * limit;
+    const { before, after, around, limit, since, page: pageNumber, skip } = req.query;
+    const startedAt = new Date();
+
+    // Offset paging was replaced by cursors. page=1 is the first page, which
+    // is the default; anything further has to use ?before=.
+    if (skip !== undefined || (pageNumber !== undefined && pageNumber !== '1')) {
+      return res.status(400).json({
+        success: false,
+        message: 'page болон skip дэмжигдэхгүй. Өмнөх мессежүүдийг ?before= ашиглан авна уу'
+      });
+    }
+
+    const cursors = [before, after, around].filter(value => value !== undefined);
+    if (cursors.length > 1 || cursors.some(value => !mongoose.Types.ObjectId.isValid(value))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Хуудаслалтын параметр буруу байна'
+      });
+    }
 
     // Check if user is participant in the chat
     const chat = await Chat.findOne({
@@ -221,50 +335,46 @@ router.get('/:id/messages', auth, async (req, res) => {
       });
     }
 
-    const messages = await Message.find({
-      chat: req.params.id,
-      isDeleted: false
-    })
-    .populate('sender', 'name username avatar')
-    .populate('replyTo', 'content.text sender')
-    .populate('replies', 'content.text sender createdAt')
-    .populate('readBy.user', 'name username avatar')
-    .populate('reactions.user', 'name username avatar')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
-
-    // Ensure replyTo.sender is populated for all messages with a replyTo
-    for (const msg of messages) {
-      if (msg.replyTo && msg.replyTo.sender) {
-        await msg.populate({ path: 'replyTo.sender', select: 'name username avatar' });
+    if (since !== undefined) {
+      const changes = await getMessageChanges(chat._id, since, { limit: req.query.limit });
+      if (!changes) {
+        return res.status(400).json({
+          success: false,
+          message: 'since утга буруу байна'
+        });
       }
+      markFetchedDelivered(req, chat, changes.messages);
+      await hideReaders(chat, req.user, changes.messages);
+      return res.json({
+        success: true,
+        data: changes
+      });
     }
 
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        chat: req.params.id,
-        sender: { $ne: req.user._id },
-        'readBy.user': { $ne: req.user._id },
-        isDeleted: false
-      },
-      {
-        $push: { readBy: { user: req.user._id } }
-      }
-    );
+    const page = await getMessagePage(chat._id, { before, after, around, limit });
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Мессеж олдсонгүй'
+      });
+    }
 
-    // Update chat unread count
-    await chat.markAsRead(req.user._id);
+    const { messages, pagination } = page;
+    markFetchedDelivered(req, chat, messages);
+    await hideReaders(chat, req.user, messages);
 
     res.json({
       success: true,
       data: {
-        messages: messages.reverse(),
+        messages,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          hasMore: messages.length === parseInt(limit)
+          ...pagination,
+          // Older clients page backwards with hasMore
+          hasMore: pagination.hasOlder
+        },
+        // Pass as ?since= after a reconnect to fetch what was missed
+        sync: {
+          cursor: encodeSyncCursor(startedAt)
         }
       }
     });
@@ -293,7 +403,13 @@ router.post('/:id/messages', auth, [
   body('replyTo')
     .optional()
     .isMongoId()
-    .withMessage('Хариултын ID буруу байна')
+    .withMessage('Хариултын ID буруу байна'),
+  body('clientMessageId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('clientMessageId буруу байна')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -319,60 +435,191 @@ router.post('/:id/messages', auth, [
       });
     }
 
-    // If user had deleted this chat, restore it
-    if (chat.isDeletedForUser(req.user._id)) {
-      await chat.restoreForUser(req.user._id);
+    const restriction = await getDirectChatRestriction(chat, req.user._id);
+    if (restriction) {
+      return sendChatRestricted(res, restriction);
     }
 
-    // When someone sends a message, restore the chat for all participants who had deleted it
-    // This ensures that if someone sends you a message in a chat you deleted, it reappears in your sidebar
-    for (const participantId of chat.participants) {
-      if (participantId.toString() !== req.user._id.toString() && chat.isDeletedForUser(participantId)) {
-        await chat.restoreForUser(participantId);
+    const { type = 'text', content, replyTo, clientMessageId } = req.body;
+
+    // The message being replied to must be live and in the same chat
+    let parent;
+    if (replyTo) {
+      parent = await Message.findOne({ _id: replyTo, chat: chat._id, isDeleted: false });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Хариулах мессеж олдсонгүй'
+        });
       }
     }
 
-    const { type = 'text', content, replyTo } = req.body;
-
-    const messageData = {
-      chat: req.params.id,
-      sender: req.user._id,
+    const { message, duplicate } = await sendMessage(req.app.get('io'), chat, req.user._id, {
       type,
-      content
-    };
+      content,
+      parent,
+      clientMessageId
+    });
 
-    if (replyTo) {
-      messageData.replyTo = replyTo;
+    // A retried send gets the stored message back
+    if (duplicate) {
+      await hideReaders(chat, req.user, [message]);
+      return res.json({
+        success: true,
+        message: 'Мессеж аль хэдийн илгээгдсэн байна',
+        data: {
+          message,
+          duplicate
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Мессеж амжилттай илгээгдлээ',
+      data: {
+        message
+      }
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/chats/:id/read
+// @desc    Mark messages as read up to a message (defaults to the latest)
+// @access  Private
+router.post('/:id/read', auth, [
+  body('upTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Мессежийн ID буруу байна')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const chat = await Chat.findOne({
+      _id: req.params.id,
+      participants: req.user._id,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Чат олдсонгүй'
+      });
     }
 
-    const message = new Message(messageData);
-    await message.save();
+    const upTo = req.body.upTo
+      ? await Message.findOne({ _id: req.body.upTo, chat: chat._id }).select('createdAt')
+      : await Message.findOne({ chat: chat._id, isDeleted: false }).sort({ createdAt: -1, _id: -1 }).select('createdAt');
+
+    if (!upTo) {
+      if (req.body.upTo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Мессеж олдсонгүй'
+        });
+      }
+      // Nothing to read in an empty chat
+      return res.json({
+        success: true,
+        data: { messageIds: [], unreadCount: 0 }
+      });
+    }
 
-    // Update unread count for other participants
-    const otherParticipants = chat.participants.filter(
-      participant => participant.toString() !== req.user._id.toString()
-    );
+    const result = await markRead(req.app.get('io'), chat, req.user, upTo);
 
-    for (const participantId of otherParticipants) {
-      await chat.updateUnreadCount(participantId, true);
+    res.json({
+      success: true,
+      message: 'Мессежүүд уншсан гэж тэмдэглэгдлээ',
+      data: {
+        upTo: upTo._id,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   PUT /api/chats/:id/settings
+// @desc    Update chat settings (group admins only for group chats)
+// @access  Private
+router.put('/:id/settings', auth, [
+  body('readReceipts')
+    .optional()
+    .isBoolean()
+    .withMessage('Тохиргооны утга буруу байна'),
+  body('allowInvites')
+    .optional()
+    .isBoolean()
+    .withMessage('Тохиргооны утга буруу байна')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
     }
 
-    // Populate the message
-    await message.populate('sender', 'name username avatar');
-    await message.populate('replyTo', 'content.text sender');
-    if (message.replyTo && message.replyTo.sender) {
-      await message.populate({ path: 'replyTo.sender', select: 'name username avatar' });
+    const chat = await Chat.findOne({
+      _id: req.params.id,
+      participants: req.user._id,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Чат олдсонгүй'
+      });
     }
 
-    res.status(201).json({
+    if (chat.type === 'group' && !chat.admins.some(id => id.equals(req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Зөвхөн группийн админ тохиргоог өөрчилнө'
+      });
+    }
+
+    for (const field of ['readReceipts', 'allowInvites']) {
+      if (req.body[field] !== undefined) {
+        chat.settings[field] = req.body[field] === true || req.body[field] === 'true';
+      }
+    }
+    await chat.save();
+
+    emitToChat(req.app.get('io'), chat, 'chat_settings_updated', { settings: chat.settings });
+
+    res.json({
       success: true,
-      message: 'Мессеж амжилттай илгээгдлээ',
+      message: 'Чатын тохиргоо шинэчлэгдлээ',
       data: {
-        message
+        settings: chat.settings
       }
     });
   } catch (error) {
-    console.error('Send message error:', error);
+    console.error('Update chat settings error:', error);
     res.status(500).json({
       success: false,
       message: 'Серверийн алдаа'
@@ -404,6 +651,7 @@ router.put('/:id/messages/:messageId', auth, [
       _id: req.params.messageId,
       chat: req.params.id,
       sender: req.user._id,
+      type: { $ne: 'system' },
       isDeleted: false
     });
 
@@ -416,6 +664,11 @@ router.put('/:id/messages/:messageId', auth, [
 
     await message.editMessage(req.body.content.text);
 
+    const chat = await Chat.findById(message.chat).select('participants');
+    if (chat) {
+      emitMessageEdited(req.app.get('io'), chat, message);
+    }
+
     res.json({
       success: true,
       message: 'Мессеж амжилттай засагдлаа',
@@ -441,6 +694,7 @@ router.delete('/:id/messages/:messageId', auth, async (req, res) => {
       _id: req.params.messageId,
       chat: req.params.id,
       sender: req.user._id,
+      type: { $ne: 'system' },
       isDeleted: false
     });
 
@@ -453,6 +707,11 @@ router.delete('/:id/messages/:messageId', auth, async (req, res) => {
 
     await message.softDelete();
 
+    const chat = await Chat.findById(message.chat).select('participants');
+    if (chat) {
+      emitMessageDeleted(req.app.get('io'), chat, message._id);
+    }
+
     res.json({
       success: true,
       message: 'Мессеж амжилттай устгагдлаа'
@@ -500,6 +759,11 @@ router.post('/:id/messages/:messageId/react', auth, [
       });
     }
 
+    // Reacting is only blocked by a block, not by message privacy
+    if (await getDirectChatRestriction(chat, req.user._id) === 'blocked') {
+      return sendChatRestricted(res, 'blocked');
+    }
+
     // If user had deleted this chat, restore it when they react to a message
     if (chat.isDeletedForUser(req.user._id)) {
       await chat.restoreForUser(req.user._id);
@@ -526,6 +790,8 @@ router.post('/:id/messages/:messageId/react', auth, [
     // Populate the message with reactions
     await message.populate('reactions.user', 'name username avatar');
 
+    emitReactionUpdated(req.app.get('io'), chat, message._id, message.reactions);
+
     res.json({
       success: true,
       message: 'Реакц амжилттай нэмэгдлээ',
@@ -550,7 +816,13 @@ router.post('/:id/messages/:messageId/reply', auth, [
     .notEmpty()
     .withMessage('Хариу мессеж оруулна уу')
     .isLength({ max: 2000 })
-    .withMessage('Мессеж 2000 тэмдэгтээс бага байх ёстой')
+    .withMessage('Мессеж 2000 тэмдэгтээс бага байх ёстой'),
+  body('clientMessageId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('clientMessageId буруу байна')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -576,9 +848,9 @@ router.post('/:id/messages/:messageId/reply', auth, [
       });
     }
 
-    // If user had deleted this chat, restore it when they reply to a message
-    if (chat.isDeletedForUser(req.user._id)) {
-      await chat.restoreForUser(req.user._id);
+    const restriction = await getDirectChatRestriction(chat, req.user._id);
+    if (restriction) {
+      return sendChatRestricted(res, restriction);
     }
 
     // Find the message being replied to
@@ -595,25 +867,23 @@ router.post('/:id/messages/:messageId/reply', auth, [
       });
     }
 
-    // Create the reply message
-    const replyMessage = new Message({
-      chat: req.params.id,
-      sender: req.user._id,
+    const { message: replyMessage, duplicate } = await sendMessage(req.app.get('io'), chat, req.user._id, {
       type: 'text',
       content: req.body.content,
-      replyTo: parentMessage._id
+      clientMessageId: req.body.clientMessageId,
+      parent: parentMessage
     });
-    await replyMessage.save();
-
-    // Add this reply to the parent message's replies array
-    parentMessage.replies.push(replyMessage._id);
-    await parentMessage.save();
 
-    // Populate the reply message
-    await replyMessage.populate('sender', 'name username avatar');
-    await replyMessage.populate('replyTo', 'content.text sender');
-    if (replyMessage.replyTo && replyMessage.replyTo.sender) {
-      await replyMessage.populate({ path: 'replyTo.sender', select: 'name username avatar' });
+    if (duplicate) {
+      await hideReaders(chat, req.user, [replyMessage]);
+      return res.json({
+        success: true,
+        message: 'Хариу аль хэдийн илгээгдсэн байна',
+        data: {
+          message: replyMessage,
+          duplicate
+        }
+      });
     }
 
     res.status(201).json({
@@ -632,6 +902,290 @@ router.post('/:id/messages/:messageId/reply', auth, [
   }
 });
 
+// Load a group chat the current user belongs to. Sends the error response
+// and returns null if there is none.
+const loadGroupChat = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Чат олдсонгүй' });
+    return null;
+  }
+
+  const chat = await Chat.findOne({
+    _id: req.params.id,
+    participants: req.user._id,
+    isActive: true
+  });
+
+  if (!chat) {
+    res.status(404).json({ success: false, message: 'Чат олдсонгүй' });
+    return null;
+  }
+  if (chat.type !== 'group') {
+    res.status(400).json({ success: false, message: 'Зөвхөн группэд хамаарна' });
+    return null;
+  }
+  return chat;
+};
+
+const sendNotAdmin = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Зөвхөн группийн админ үүнийг хийх боломжтой'
+  });
+};
+
+const sendGroupChat = async (res, chat, viewerId, message) => {
+  await chat.populate('participants', PARTICIPANT_FIELDS);
+  await chat.populate('admins', 'name username avatar');
+  applyParticipantPresence(chat, viewerId);
+  res.json({
+    success: true,
+    message,
+    data: {
+      chat
+    }
+  });
+};
+
+// @route   PUT /api/chats/:id
+// @desc    Rename a group or change its avatar (admins only)
+// @access  Private
+router.put('/:id', auth, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Группийн нэр 1-100 тэмдэгт байх ёстой'),
+  // An empty string clears the avatar
+  body('avatar')
+    .optional()
+    .isString()
+    .trim()
+    .if(body('avatar').notEmpty())
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Зургийн холбоос http(s) URL байх ёстой')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const chat = await loadGroupChat(req, res);
+    if (!chat) return;
+    if (!isGroupAdmin(chat, req.user._id)) {
+      return sendNotAdmin(res);
+    }
+
+    const { name, avatar } = req.body;
+    if (name === undefined && avatar === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Өөрчлөх утга оруулна уу'
+      });
+    }
+
+    await updateGroupProfile(req.app.get('io'), chat, req.user._id, { name, avatar });
+    await sendGroupChat(res, chat, req.user._id, 'Групп шинэчлэгдлээ');
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/chats/:id/members
+// @desc    Add members to a group (admins, or anyone when invites are allowed)
+// @access  Private
+router.post('/:id/members', auth, requireVerified, [
+  body('userIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Нэмэх хэрэглэгчдийг оруулна уу'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Хэрэглэгчийн ID буруу байна')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Оролтын алдаа',
+        errors: errors.array()
+      });
+    }
+
+    const chat = await loadGroupChat(req, res);
+    if (!chat) return;
+    if (!canAddMembers(chat, req.user._id)) {
+      return sendNotAdmin(res);
+    }
+
+    const userIds = [...new Set(req.body.userIds)].filter(id => !isMember(chat, id));
+    if (userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Хэрэглэгчид аль хэдийн группт байна'
+      });
+    }
+
+    const users = await User.find({ _id: { $in: userIds }, deactivatedAt: null }).select('_id');
+    if (users.length !== userIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Зарим хэрэглэгч олдсонгүй'
+      });
+    }
+
+    for (const userId of userIds) {
+      if (await isBlockedBetween(req.user._id, userId)) {
+        return sendChatRestricted(res, 'blocked');
+      }
+    }
+
+    await addMembers(req.app.get('io'), chat, req.user._id, users.map(user => user._id));
+    await sendGroupChat(res, chat, req.user._id, 'Гишүүд нэмэгдлээ');
+  } catch (error) {
+    console.error('Add group members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   DELETE /api/chats/:id/members/:userId
+// @desc    Remove a member from a group (admins only)
+// @access  Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const chat = await loadGroupChat(req, res);
+    if (!chat) return;
+    if (!isGroupAdmin(chat, req.user._id)) {
+      return sendNotAdmin(res);
+    }
+    if (req.user._id.equals(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Группээс гарахын тулд leave ашиглана уу'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId) || !isMember(chat, req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Гишүүн олдсонгүй'
+      });
+    }
+
+    await removeMember(req.app.get('io'), chat, req.user._id, req.params.userId);
+    await sendGroupChat(res, chat, req.user._id, 'Гишүүн хасагдлаа');
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/chats/:id/leave
+// @desc    Leave a group
+// @access  Private
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const chat = await loadGroupChat(req, res);
+    if (!chat) return;
+
+    await removeMember(req.app.get('io'), chat, req.user._id, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Группээс гарлаа'
+    });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   POST /api/chats/:id/admins/:userId
+// @desc    Make a member a group admin (admins only)
+// @access  Private
+router.post('/:id/admins/:userId', auth, async (req, res) => {
+  try {
+    const chat = await loadGroupChat(req, res);
+    if (!chat) return;
+    if (!isGroupAdmin(chat, req.user._id)) {
+      return sendNotAdmin(res);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId) || !isMember(chat, req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Гишүүн олдсонгүй'
+      });
+    }
+    if (isGroupAdmin(chat, req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Хэрэглэгч аль хэдийн админ байна'
+      });
+    }
+
+    await setAdmin(req.app.get('io'), chat, req.user._id, req.params.userId, true);
+    await sendGroupChat(res, chat, req.user._id, 'Админ нэмэгдлээ');
+  } catch (error) {
+    console.error('Promote admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
+// @route   DELETE /api/chats/:id/admins/:userId
+// @desc    Remove admin rights from a member (admins only; a group keeps at
+//          least one admin)
+// @access  Private
+router.delete('/:id/admins/:userId', auth, async (req, res) => {
+  try {
+    const chat = await loadGroupChat(req, res);
+    if (!chat) return;
+    if (!isGroupAdmin(chat, req.user._id)) {
+      return sendNotAdmin(res);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId) || !isGroupAdmin(chat, req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Админ олдсонгүй'
+      });
+    }
+    if (chat.admins.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Группт дор хаяж нэг админ байх ёстой'
+      });
+    }
+
+    await setAdmin(req.app.get('io'), chat, req.user._id, req.params.userId, false);
+    await sendGroupChat(res, chat, req.user._id, 'Админ эрх хасагдлаа');
+  } catch (error) {
+    console.error('Demote admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Серверийн алдаа'
+    });
+  }
+});
+
 // @route   DELETE /api/chats/:id
 // @desc    Delete a chat (soft delete for current user only)
 // @access  Private
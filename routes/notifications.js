@@ -12,10 +12,22 @@ router.get('/', optionalAuth, async (req, res) => {
       return res.json({ success: true, data: { notifications: [] } });
     }
     
-    const notifications = await Notification.find({ user: req.user._id })
+    // Muted users are left out of grouped senders; a notification is hidden
+    // only when all of its senders are muted
+    const mutedIds = (req.user.mutedUsers || []).map(id => id.toString());
+    const filter = { user: req.user._id };
+    if (mutedIds.length > 0) {
+      filter.from = { $elemMatch: { $nin: req.user.mutedUsers } };
+    }
+
+    const notifications = await Notification.find(filter)
       .sort({ createdAt: -1 })
       .populate('from', 'name avatar')
-      .populate('post', 'content');
+      .populate('post', 'content')
+      .lean();
+    notifications.forEach(notification => {
+      notification.from = notification.from.filter(sender => !sender || !mutedIds.includes(sender._id.toString()));
+    });
     res.json({ success: true, data: { notifications } });
   } catch (error) {
     console.error('Get notifications error:', error);
@@ -2,13 +2,32 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const User = require('../models/User');
-const { auth, optionalAuth } = require('../middleware/auth');
+const { auth, optionalAuth, requireVerified } = require('../middleware/auth');
 const Notification = require('../models/Notification');
+const { getBlockedIds, isBlockedBetween } = require('../services/blocks');
+const { canViewProfile, getFollowingIds } = require('../services/follows');
 
 const router = express.Router();
 
+// Comments waiting for approval are only shown to the person who wrote them
+const hidePendingComments = (post, viewerId) => {
+  post.comments = post.comments.filter(comment => {
+    if (!comment.pendingApproval) return true;
+    const authorId = comment.author && comment.author._id ? comment.author._id : comment.author;
+    return String(authorId) === String(viewerId);
+  });
+  return post;
+};
+
+// Skip notifications for recipients who muted the sender
+const notifyUnlessMuted = async (recipientId, senderId, notification) => {
+  const muted = await User.exists({ _id: recipientId, mutedUsers: senderId });
+  if (muted) return null;
+  return Notification.create({ user: recipientId, from: senderId, ...notification });
+};
+
 // Create a post
-router.post('/', auth, [
+router.post('/', auth, requireVerified, [
   body('content').trim().notEmpty().withMessage('Постын агуулга шаардлагатай'),
   body('media').optional().isArray(),
   body('media.*.type').optional().isIn(['image', 'video']),
@@ -37,19 +56,28 @@ router.post('/', auth, [
 // Get all posts (feed)
 router.get('/', auth, async (req, res) => {
   try {
-    let posts = await Post.find()
+    // Posts from blocked users (either direction) never reach the feed,
+    // muted users are only hidden from the muting user's feed
+    const [blockedIds, followingIds] = await Promise.all([
+      getBlockedIds(req.user._id),
+      getFollowingIds(req.user._id)
+    ]);
+    const followingSet = new Set(followingIds.map(id => String(id)));
+    let posts = await Post.find({ author: { $nin: [...blockedIds, ...(req.user.mutedUsers || [])] } })
       .sort({ createdAt: -1 })
-      .populate('author', 'name avatar privateProfile followers');
+      .populate('author', 'name avatar privateProfile deactivatedAt');
     // Filter out posts from private users unless requester is a follower or the user themselves
     posts = posts.filter(post => {
       const author = post.author;
+      // Deactivated accounts are hidden from everyone
+      if (!author || author.deactivatedAt) return false;
       if (!author.privateProfile) return true;
       if (String(author._id) === String(req.user._id)) return true;
-      if (Array.isArray(author.followers) && author.followers.map(id => String(id)).includes(String(req.user._id))) return true;
-      return false;
+      return followingSet.has(String(author._id));
     });
     // Populate comments.author for filtered posts
     await Post.populate(posts, { path: 'comments.author', select: 'name avatar' });
+    posts.forEach(post => hidePendingComments(post, req.user._id));
     res.json({ success: true, data: { posts } });
   } catch (error) {
     console.error('Get posts error:', error);
@@ -61,9 +89,16 @@ router.get('/', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('author', 'name avatar')
+      .populate('author', 'name avatar deactivatedAt')
       .populate('comments.author', 'name avatar');
-    if (!post) return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    if (!post || !post.author) return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    if (post.author.deactivatedAt && String(post.author._id) !== String(req.user._id)) {
+      return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    }
+    if (await isBlockedBetween(req.user._id, post.author._id)) {
+      return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    }
+    hidePendingComments(post, req.user._id);
     res.json({ success: true, data: { post } });
   } catch (error) {
     console.error('Get post error:', error);
@@ -82,23 +117,28 @@ router.post('/:id/comment', auth, [
     }
     const post = await Post.findById(req.params.id);
     if (!post) return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    if (await isBlockedBetween(req.user._id, post.author)) {
+      return res.status(403).json({ success: false, message: 'Энэ пост дээр сэтгэгдэл үлдээх боломжгүй' });
+    }
+    // Comments from users the author restricted wait for approval
+    const restricted = await User.exists({ _id: post.author, restrictedUsers: req.user._id });
     const comment = {
       author: req.user._id,
-      content: req.body.content
+      content: req.body.content,
+      pendingApproval: !!restricted
     };
     post.comments.push(comment);
     await post.save();
     await post.populate('comments.author', 'name avatar');
-    // Create notification for post author (if not self)
-    if (String(post.author) !== String(req.user._id)) {
-      await Notification.create({
-        user: post.author,
+    // Create notification for post author (if not self and not pending)
+    if (String(post.author) !== String(req.user._id) && !restricted) {
+      await notifyUnlessMuted(post.author, req.user._id, {
         type: 'comment',
         post: post._id,
-        from: req.user._id,
         message: `${req.user.name} таны пост дээр сэтгэгдэл үлдээлээ.`
       });
     }
+    hidePendingComments(post, req.user._id);
     res.json({ success: true, message: 'Сэтгэгдэл нэмэгдлээ', data: { comments: post.comments } });
   } catch (error) {
     console.error('Add comment error:', error);
@@ -113,17 +153,19 @@ router.post('/:id/like', auth, async (req, res) => {
     if (!post) return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
     const userId = req.user._id;
     const liked = post.likes.includes(userId);
+    // Removing an old like is still allowed after a block
+    if (!liked && await isBlockedBetween(userId, post.author)) {
+      return res.status(403).json({ success: false, message: 'Энэ постыг лайк дарах боломжгүй' });
+    }
     if (liked) {
       post.likes.pull(userId);
     } else {
       post.likes.push(userId);
       // Create notification for post author (if not self)
       if (String(post.author) !== String(userId)) {
-        await Notification.create({
-          user: post.author,
+        await notifyUnlessMuted(post.author, userId, {
           type: 'like',
           post: post._id,
-          from: userId,
           message: `${req.user.name} таны постыг лайк дарлаа.`
         });
       }
@@ -189,20 +231,65 @@ router.delete('/:postId/comments/:commentId', auth, async (req, res) => {
   }
 });
 
+// Get comments waiting for approval on a post (owner only)
+router.get('/:id/comments/pending', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).populate('comments.author', 'name avatar');
+    if (!post) return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    if (String(post.author) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Та зөвшөөрөлгүй байна' });
+    }
+    const comments = post.comments.filter(comment => comment.pendingApproval);
+    res.json({ success: true, data: { comments } });
+  } catch (error) {
+    console.error('Get pending comments error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+// Approve a pending comment (post owner only)
+router.post('/:postId/comments/:commentId/approve', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+    if (!post) return res.status(404).json({ success: false, message: 'Пост олдсонгүй' });
+    if (String(post.author) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Та зөвшөөрөлгүй байна' });
+    }
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment || !comment.pendingApproval) {
+      return res.status(404).json({ success: false, message: 'Сэтгэгдэл олдсонгүй' });
+    }
+    comment.pendingApproval = false;
+    await post.save();
+    await post.populate('comments.author', 'name avatar');
+    hidePendingComments(post, req.user._id);
+    res.json({ success: true, message: 'Сэтгэгдэл зөвшөөрөгдлөө', data: { comments: post.comments } });
+  } catch (error) {
+    console.error('Approve comment error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
 // @route   GET /user/:userId
 // @desc    Get all posts by a user
 // @access  Private
 router.get('/user/:userId', auth, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
-    if (!user) return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
-    if (user.privateProfile && !user._id.equals(req.user._id) && !user.followers.includes(req.user._id)) {
+    if (!user || (user.deactivatedAt && !user._id.equals(req.user._id))) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (await isBlockedBetween(req.user._id, user._id)) {
+      return res.status(404).json({ success: false, message: 'Хэрэглэгч олдсонгүй' });
+    }
+    if (!(await canViewProfile(req.user._id, user))) {
       return res.status(403).json({ success: false, message: 'Энэ профайл хувийн байна' });
     }
     const posts = await Post.find({ author: req.params.userId })
       .sort({ createdAt: -1 })
       .populate('author', 'name avatar')
       .populate('comments.author', 'name avatar');
+    posts.forEach(post => hidePendingComments(post, req.user._id));
     res.json({ success: true, data: { posts } });
   } catch (error) {
     console.error('Get user posts error:', error);
@@ -0,0 +1,25 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { getSuggestions } = require('../services/suggestions');
+
+const router = express.Router();
+
+// @route   GET /api/users/suggestions
+// @desc    People you may know, ranked by shared follows, groups and interactions
+// @access  Private
+router.get('/suggestions', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const suggestions = await getSuggestions(req.user._id, { limit });
+
+    res.json({
+      success: true,
+      data: { suggestions }
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ success: false, message: 'Серверийн алдаа' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: require('path').join(__dirname, '../config.env') });
+
+// Permanently delete accounts whose deactivation grace period has ended.
+// The server does this hourly; this script is for running it from cron.
+async function purge() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB successfully');
+
+    const { purgeDeactivatedAccounts } = require('../services/accounts');
+    const purged = await purgeDeactivatedAccounts();
+    console.log(`Purged ${purged} deactivated accounts`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Purge failed:', error);
+    process.exit(1);
+  }
+}
+
+purge();
@@ -21,13 +21,23 @@ const notificationRoutes = require('./routes/notifications');
 const reportRoutes = require('./routes/reports');
 const adminRoutes = require('./routes/admin');
 const analyticsRoutes = require('./routes/analytics');
+const userRoutes = require('./routes/users');
 
-// Import models
-const User = require('./models/User');
+// Import services
+const { scheduleDeactivationPurge } = require('./services/accounts');
+const { scheduleExportMaintenance } = require('./services/dataExport');
+const { startPresenceSweep, resetPresence } = require('./services/presence');
+const { getPubSub } = require('./services/pubsub');
+
+// Import socket handlers
+const { initSocket } = require('./socket');
+const { createAdapter } = require('./socket/adapter');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
+  // Fans events out to other instances through the configured pub/sub driver
+  adapter: createAdapter(getPubSub()),
   cors: {
     origin: process.env.NODE_ENV === 'production' 
       ? [process.env.FRONTEND_URL].filter(Boolean)
@@ -133,6 +143,9 @@ const authLimiter = rateLimit({
 
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/oauth', authLimiter);
 app.use('/api/admin/login', authLimiter);
 
 // Performance monitoring middleware
@@ -160,6 +173,7 @@ app.use('/api/upload', require('./routes/upload'));
 app.use('/api/reports', reportRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/users', userRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -171,137 +185,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Socket.IO connection handling
-const connectedUsers = new Map();
-let connectionCount = 0;
-
-io.on('connection', (socket) => {
-  connectionCount++;
-  console.log(`User connected: ${socket.id} (Total: ${connectionCount})`);
-  
-  // Log memory usage every 50 connections
-  if (connectionCount % 50 === 0) {
-    const memUsage = process.memoryUsage();
-    console.log(`📊 Memory usage with ${connectionCount} connections:`, {
-      rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
-      heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
-      heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`
-    });
-  }
-
-  // Authenticate user
-  socket.on('authenticate', async (token) => {
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user) {
-        socket.userId = user._id.toString();
-        socket.user = user;
-        connectedUsers.set(user._id.toString(), socket.id);
-        
-        // Update user status to online
-        await User.findByIdAndUpdate(user._id, {
-          status: 'online',
-          lastSeen: new Date()
-        });
-
-        // Join user to their personal room
-        socket.join(`user_${user._id}`);
-        
-        // Notify other users about online status
-        socket.broadcast.emit('user_status_change', {
-          userId: user._id,
-          status: 'online'
-        });
-
-        console.log('User authenticated:', user.name);
-      }
-    } catch (error) {
-      console.error('Socket authentication error:', error);
-    }
-  });
-
-  // Join chat room
-  socket.on('join_chat', (chatId) => {
-    socket.join(`chat_${chatId}`);
-    console.log(`User joined chat: ${chatId}`);
-  });
-
-  // Leave chat room
-  socket.on('leave_chat', (chatId) => {
-    socket.leave(`chat_${chatId}`);
-    console.log(`User left chat: ${chatId}`);
-  });
-
-  // Send message
-  socket.on('send_message', async (data) => {
-    try {
-      const { chatId, message } = data;
-      
-      // Broadcast message to chat room
-      socket.to(`chat_${chatId}`).emit('new_message', {
-        chatId,
-        message
-      });
-
-      // Update unread counts for other participants
-      const Chat = require('./models/Chat');
-      const chat = await Chat.findById(chatId);
-      
-      if (chat) {
-        const otherParticipants = chat.participants.filter(
-          participant => participant.toString() !== socket.userId
-        );
-
-        for (const participantId of otherParticipants) {
-          await chat.updateUnreadCount(participantId, true);
-        }
-      }
-    } catch (error) {
-      console.error('Send message error:', error);
-    }
-  });
-
-  // Typing indicator
-  socket.on('typing_start', (chatId) => {
-    socket.to(`chat_${chatId}`).emit('user_typing', {
-      chatId,
-      userId: socket.userId,
-      isTyping: true
-    });
-  });
-
-  socket.on('typing_stop', (chatId) => {
-    socket.to(`chat_${chatId}`).emit('user_typing', {
-      chatId,
-      userId: socket.userId,
-      isTyping: false
-    });
-  });
-
-  // Disconnect
-  socket.on('disconnect', async () => {
-    connectionCount--;
-    console.log(`User disconnected: ${socket.id} (Total: ${connectionCount})`);
-    
-    if (socket.userId) {
-      connectedUsers.delete(socket.userId);
-      
-      // Update user status to offline
-      await User.findByIdAndUpdate(socket.userId, {
-        status: 'offline',
-        lastSeen: new Date()
-      });
-
-      // Notify other users about offline status
-      socket.broadcast.emit('user_status_change', {
-        userId: socket.userId,
-        status: 'offline'
-      });
-    }
-  });
-});
+initSocket(io);
 
 // MongoDB connection with simplified settings for Railway
 const connectDB = async () => {
@@ -342,8 +226,13 @@ const connectDB = async () => {
   }
 };
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start background jobs
+connectDB().then(async () => {
+  await resetPresence(io).catch(error => console.error('Presence reset error:', error));
+  startPresenceSweep(io);
+  scheduleDeactivationPurge();
+  scheduleExportMaintenance();
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Chat = require('../models/Chat');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const UsernameHistory = require('../models/UsernameHistory');
+const Follow = require('../models/Follow');
+const { deleteFile } = require('../config/cloudinary');
+const { revokeUserSessions, disconnectSessionSockets } = require('./sessions');
+const { deleteUserExports } = require('./dataExport');
+
+const GRACE_PERIOD_MS = (parseInt(process.env.ACCOUNT_DEACTIVATION_GRACE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Date after which a deactivated account is permanently deleted
+const getPurgeDate = (user) => {
+  if (!user.deactivatedAt) return null;
+  return new Date(user.deactivatedAt.getTime() + GRACE_PERIOD_MS);
+};
+
+// Deactivated and past the grace period, waiting for the purge job
+const isPendingPurge = (user) => {
+  const purgeAt = getPurgeDate(user);
+  return !!(purgeAt && purgeAt <= new Date());
+};
+
+// Hide the account and sign out everywhere. Logging in again within the
+// grace period reactivates it.
+const deactivateUser = async (user, io) => {
+  user.deactivatedAt = new Date();
+  user.status = 'offline';
+  user.lastSeen = new Date();
+  await user.save();
+
+  await revokeUserSessions(user._id, { reason: 'deactivated' });
+  await disconnectSessionSockets(io, user._id);
+
+  return getPurgeDate(user);
+};
+
+// Permanently delete a user and everything that belongs to them
+const purgeUser = async (user) => {
+  // Delete user's posts and their media from Cloudinary
+  const userPosts = await Post.find({ author: user._id });
+  for (const post of userPosts) {
+    // Delete media from Cloudinary
+    if (post.media && post.media.length > 0) {
+      for (const mediaItem of post.media) {
+        if (mediaItem.publicId) {
+          try {
+            await deleteFile(mediaItem.publicId);
+          } catch (error) {
+            console.error('Error deleting media from Cloudinary:', error);
+          }
+        }
+      }
+    }
+  }
+  
+  // Delete all user's posts
+  await Post.deleteMany({ author: user._id });
+
+  // Remove user from all chats
+  await Chat.updateMany(
+    { participants: user._id },
+    { $pull: { participants: user._id } }
+  );
+
+  // Delete empty chats (chats with less than 2 participants)
+  await Chat.deleteMany({ 
+    $expr: { $lt: [{ $size: '$participants' }, 2] } 
+  });
+
+  // Follow edges in both directions
+  await Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] });
+
+  // Remove the user from other people's friend lists and requests
+  await User.updateMany(
+    { $or: [{ friends: user._id }, { friendRequests: user._id }] },
+    { $pull: { friends: user._id, friendRequests: user._id } }
+  );
+
+  // Delete notifications related to this user
+  await Notification.deleteMany({
+    $or: [
+      { from: user._id },
+      { user: user._id }
+    ]
+  });
+
+  // Delete user's avatar and cover image from Cloudinary
+  if (user.avatarPublicId) {
+    try {
+      await deleteFile(user.avatarPublicId);
+    } catch (error) {
+      console.error('Error deleting avatar from Cloudinary:', error);
+    }
+  }
+  
+  if (user.coverImagePublicId) {
+    try {
+      await deleteFile(user.coverImagePublicId);
+    } catch (error) {
+      console.error('Error deleting cover image from Cloudinary:', error);
+    }
+  }
+
+  // Sign-in records
+  await Session.deleteMany({ user: user._id });
+  await LoginAttempt.deleteOne({ email: user.email });
+  await UsernameHistory.deleteMany({ user: user._id });
+
+  // Data export archives
+  await deleteUserExports(user._id);
+
+  // Finally, delete the user
+  await User.findByIdAndDelete(user._id);
+};
+
+// Purge every account whose grace period has ended
+const purgeDeactivatedAccounts = async () => {
+  const cutoff = new Date(Date.now() - GRACE_PERIOD_MS);
+  const users = await User.find({ deactivatedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+      purged++;
+    } catch (error) {
+      console.error(`Failed to purge deactivated user ${user._id}:`, error);
+    }
+  }
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} deactivated accounts`);
+  }
+  return purged;
+};
+
+// Run the purge periodically in this process
+const scheduleDeactivationPurge = () => {
+  const run = () => purgeDeactivatedAccounts()
+    .catch(error => console.error('Deactivated account purge error:', error));
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getPurgeDate,
+  isPendingPurge,
+  deactivateUser,
+  purgeUser,
+  purgeDeactivatedAccounts,
+  scheduleDeactivationPurge
+};
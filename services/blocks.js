@@ -0,0 +1,60 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+// Ids of everyone the user blocked or was blocked by. Either direction hides
+// the two accounts from each other.
+const getBlockedIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('blockedUsers').lean(),
+    User.find({ blockedUsers: userId }).select('_id').lean()
+  ]);
+
+  return [
+    ...(user ? user.blockedUsers : []),
+    ...blockedBy.map(u => u._id)
+  ];
+};
+
+// True if either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  if (String(userId) === String(otherUserId)) return false;
+  const blocked = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return !!blocked;
+};
+
+// Block a user and drop every follow and friend relation between the two accounts
+const blockUser = async (userId, targetId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $addToSet: { blockedUsers: targetId },
+      $pull: { friends: targetId, friendRequests: targetId }
+    }
+  );
+  await User.updateOne(
+    { _id: targetId },
+    { $pull: { friends: userId, friendRequests: userId } }
+  );
+  await Follow.deleteMany({
+    $or: [
+      { follower: userId, following: targetId },
+      { follower: targetId, following: userId }
+    ]
+  });
+};
+
+const unblockUser = async (userId, targetId) => {
+  await User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetId } });
+};
+
+module.exports = {
+  getBlockedIds,
+  isBlockedBetween,
+  blockUser,
+  unblockUser
+};
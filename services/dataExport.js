@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const Analytics = require('../models/Analytics');
+const Session = require('../models/Session');
+const UsernameHistory = require('../models/UsernameHistory');
+const Follow = require('../models/Follow');
+const ExportJob = require('../models/ExportJob');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../uploads/exports');
+const RETENTION_MS = (parseInt(process.env.EXPORT_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// A job still 'processing' after this long was abandoned by a crashed or
+// restarted instance
+const STALE_AFTER_MS = (parseInt(process.env.EXPORT_STALE_MINUTES) || 60) * 60 * 1000;
+const USER_SUMMARY_FIELDS = '_id name username';
+
+// Streams one JSON document into a gzip file, section by section, so large
+// accounts never have to be held in memory at once
+class ArchiveWriter {
+  constructor(filePath) {
+    this.gzip = zlib.createGzip();
+    this.file = fs.createWriteStream(filePath);
+    // pipeline() tears both streams down if either one fails
+    this.closed = new Promise((resolve, reject) => {
+      pipeline(this.gzip, this.file, error => (error ? reject(error) : resolve()));
+    });
+    this.closed.catch(() => {});
+    this.sectionCount = 0;
+  }
+
+  async write(chunk) {
+    if (!this.gzip.write(chunk)) {
+      await once(this.gzip, 'drain');
+    }
+  }
+
+  async start() {
+    await this.write('{');
+  }
+
+  async writeSection(name, value) {
+    await this.write(`${this.sectionCount++ ? ',' : ''}${JSON.stringify(name)}:${JSON.stringify(value)}`);
+  }
+
+  // Write an array section from a mongoose query cursor
+  async writeCursor(name, cursor, transform = (doc) => doc) {
+    await this.write(`${this.sectionCount++ ? ',' : ''}${JSON.stringify(name)}:[`);
+    let first = true;
+    for await (const doc of cursor) {
+      await this.write(`${first ? '' : ','}${JSON.stringify(transform(doc))}`);
+      first = false;
+    }
+    await this.write(']');
+  }
+
+  async finish() {
+    await this.write('}');
+    this.gzip.end();
+    await this.closed;
+  }
+
+  // Release both streams after a failed export
+  async destroy() {
+    this.gzip.destroy();
+    await this.closed.catch(() => {});
+  }
+}
+
+// Collects every media URL referenced by the export
+const createMediaManifest = () => {
+  const items = [];
+  return {
+    items,
+    add(source, type, media) {
+      if (!media || !media.url) return;
+      items.push({
+        source,
+        type,
+        url: media.url,
+        ...(media.publicId ? { publicId: media.publicId } : {})
+      });
+    }
+  };
+};
+
+const writeUserArchive = async (userId, filePath) => {
+  const user = await User.findById(userId)
+    .populate('blockedUsers', USER_SUMMARY_FIELDS)
+    .lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const manifest = createMediaManifest();
+  const writer = new ArchiveWriter(filePath);
+  try {
+    await writeArchiveSections(writer, user, manifest);
+  } catch (error) {
+    await writer.destroy();
+    throw error;
+  }
+};
+
+// Everything inside the archive, in file order
+const writeArchiveSections = async (writer, user, manifest) => {
+  const userId = user._id;
+  await writer.start();
+
+  const { password, passwordResetTokenHash, twoFactor, ...profile } = user;
+  profile.twoFactorEnabled = !!(twoFactor && twoFactor.enabled);
+  manifest.add('profile.avatar', 'image', { url: user.avatar, publicId: user.avatarPublicId });
+  manifest.add('profile.coverImage', 'image', { url: user.coverImage, publicId: user.coverImagePublicId });
+
+  await writer.writeSection('format', 'chatli-export-v1');
+  await writer.writeSection('exportedAt', new Date().toISOString());
+  await writer.writeSection('profile', profile);
+  const followEdge = (side) => (edge) => ({ user: edge[side], status: edge.status, since: edge.createdAt });
+  await writer.writeCursor('followers', Follow.find({ following: userId })
+    .populate('follower', USER_SUMMARY_FIELDS)
+    .lean()
+    .cursor(), followEdge('follower'));
+  await writer.writeCursor('following', Follow.find({ follower: userId })
+    .populate('following', USER_SUMMARY_FIELDS)
+    .lean()
+    .cursor(), followEdge('following'));
+  await writer.writeSection('usernameHistory', await UsernameHistory.find({ user: userId })
+    .select('username changedAt')
+    .lean());
+  await writer.writeSection('sessions', await Session.find({ user: userId })
+    .select('device ipAddress createdAt lastUsedAt revokedAt revokedReason')
+    .lean());
+
+  // Own posts with their comments and likes
+  await writer.writeCursor('posts', Post.find({ author: userId })
+    .populate('likes', USER_SUMMARY_FIELDS)
+    .populate('comments.author', USER_SUMMARY_FIELDS)
+    .lean()
+    .cursor(), (post) => {
+    (post.media || []).forEach((media, index) => manifest.add(`posts.${post._id}.media.${index}`, media.type, media));
+    return post;
+  });
+
+  // Comments and likes left on other people's posts
+  await writer.writeCursor('commentsOnOtherPosts', Post.find({ author: { $ne: userId }, 'comments.author': userId })
+    .select('author comments')
+    .lean()
+    .cursor(), (post) => ({
+    post: post._id,
+    postAuthor: post.author,
+    comments: post.comments.filter(comment => String(comment.author) === String(userId))
+  }));
+  await writer.writeCursor('likedPosts', Post.find({ author: { $ne: userId }, likes: userId })
+    .select('_id author createdAt')
+    .lean()
+    .cursor());
+
+  // Chats and every message the user sent or could receive in them
+  const chats = await Chat.find({ participants: userId })
+    .populate('participants', USER_SUMMARY_FIELDS)
+    .select('type name participants admins createdAt')
+    .lean();
+  await writer.writeSection('chats', chats);
+  await writer.writeCursor('messages', Message.find({
+    $or: [
+      { chat: { $in: chats.map(chat => chat._id) } },
+      { sender: userId }
+    ]
+  })
+    .select('chat sender type content replyTo reactions isEdited isDeleted createdAt')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor(), (message) => {
+    if (message.isDeleted) {
+      return { ...message, content: undefined };
+    }
+    if (message.content) {
+      manifest.add(`messages.${message._id}.image`, 'image', message.content.image);
+      manifest.add(`messages.${message._id}.voice`, 'voice', message.content.voice);
+      manifest.add(`messages.${message._id}.file`, 'file', message.content.file);
+    }
+    return message;
+  });
+
+  await writer.writeCursor('notifications', Notification.find({ user: userId }).lean().cursor());
+  await writer.writeCursor('reports', Report.find({ reporterId: userId })
+    .select('-reviewedBy -resolvedBy -adminNotes')
+    .lean()
+    .cursor());
+  await writer.writeCursor('analytics', Analytics.find({ userId }).lean().cursor());
+
+  await writer.writeSection('mediaManifest', manifest.items);
+  await writer.finish();
+};
+
+const processJob = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!job) return;
+
+  const fileName = `chatli-export-${job.user}-${Date.now()}.json.gz`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await writeUserArchive(job.user, filePath);
+    const stats = await fs.promises.stat(filePath);
+
+    job.status = 'completed';
+    job.fileName = fileName;
+    job.filePath = filePath;
+    job.size = stats.size;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + RETENTION_MS);
+    await job.save();
+    console.log(`📦 Data export ${job._id} completed (${stats.size} bytes)`);
+  } catch (error) {
+    console.error(`Data export ${job._id} failed:`, error);
+    await fs.promises.unlink(filePath).catch(() => {});
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    await job.save();
+  }
+};
+
+// Jobs run one at a time, off the request thread
+const queue = [];
+let processing = false;
+
+const runQueue = async () => {
+  if (processing) return;
+  processing = true;
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+    try {
+      await processJob(jobId);
+    } catch (error) {
+      console.error('Data export queue error:', error);
+    }
+  }
+  processing = false;
+};
+
+const enqueueExport = (jobId) => {
+  queue.push(jobId);
+  setImmediate(runQueue);
+};
+
+// Pick up queued jobs and delete expired archives. Jobs stuck in
+// 'processing' past STALE_AFTER_MS are queued again; newer ones may still be
+// running on another instance.
+const runExportMaintenance = async () => {
+  const interrupted = await ExportJob.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(Date.now() - STALE_AFTER_MS) } },
+    { status: 'queued' }
+  );
+  if (interrupted.modifiedCount > 0) {
+    console.log(`Requeued ${interrupted.modifiedCount} interrupted data exports`);
+  }
+
+  const pending = await ExportJob.find({ status: 'queued' }).select('_id').sort({ createdAt: 1 });
+  pending.forEach(job => {
+    if (!queue.some(id => String(id) === String(job._id))) enqueueExport(job._id);
+  });
+
+  const expired = await ExportJob.find({ expiresAt: { $lte: new Date() } }).select('+filePath');
+  for (const job of expired) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+    }
+    await job.deleteOne();
+  }
+};
+
+// Delete all export jobs and archives of a user
+const deleteUserExports = async (userId) => {
+  const jobs = await ExportJob.find({ user: userId }).select('+filePath');
+  for (const job of jobs) {
+    if (job.filePath) {
+      await fs.promises.unlink(job.filePath).catch(() => {});
+    }
+  }
+  await ExportJob.deleteMany({ user: userId });
+};
+
+const scheduleExportMaintenance = () => {
+  const run = () => runExportMaintenance()
+    .catch(error => console.error('Data export maintenance error:', error));
+
+  run();
+  const timer = setInterval(() => run(), MAINTENANCE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  enqueueExport,
+  deleteUserExports,
+  scheduleExportMaintenance
+};
@@ -0,0 +1,66 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendMail, buildFrontendLink, escapeHtml } = require('../config/mailer');
+
+const VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// The token is bound to the address it was sent to, so changing the email
+// invalidates links that are still in flight
+const generateVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFICATION_EXPIRES_IN }
+  );
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = generateVerificationToken(user);
+  const link = buildFrontendLink('/verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Имэйл хаягаа баталгаажуулна уу',
+    text: `Сайн байна уу, ${user.name}!\n\nCHATLI бүртгэлээ баталгаажуулахын тулд дараах холбоос дээр дарна уу:\n${link}\n\nХолбоос ${VERIFICATION_EXPIRES_IN}-ийн дараа хүчингүй болно.`,
+    html: `<p>Сайн байна уу, ${escapeHtml(user.name)}!</p><p>CHATLI бүртгэлээ баталгаажуулахын тулд <a href="${escapeHtml(link)}">энд дарна уу</a>.</p><p>Холбоос ${VERIFICATION_EXPIRES_IN}-ийн дараа хүчингүй болно.</p>`,
+    // Exposed to dev/test transports so the flow can be completed without a mailbox
+    meta: { purpose: 'email_verification', token }
+  });
+
+  user.verificationSentAt = new Date();
+  await user.save();
+};
+
+// Resolve a verification token to its user and mark them verified.
+// Returns null for tokens that are invalid, expired or for a changed email.
+const verifyEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== 'email_verification') return null;
+
+  const user = await User.findById(decoded.userId);
+  if (!user || user.email !== decoded.email) return null;
+
+  if (!user.isVerified) {
+    user.isVerified = true;
+    user.verifiedAt = new Date();
+    await user.save();
+  }
+  return user;
+};
+
+const canResendVerification = (user) => {
+  return !user.verificationSentAt ||
+    Date.now() - user.verificationSentAt.getTime() > RESEND_COOLDOWN_MS;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmailToken,
+  canResendVerification
+};
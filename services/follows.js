@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+
+// Accepted follow edge from follower to following
+const isFollowing = async (followerId, followingId) => {
+  const edge = await Follow.exists({ follower: followerId, following: followingId, status: 'accepted' });
+  return !!edge;
+};
+
+// Private profiles are visible to their owner and accepted followers
+const canViewProfile = async (viewerId, user) => {
+  if (String(viewerId) === String(user._id)) return true;
+  if (!user.privateProfile) return true;
+  return isFollowing(viewerId, user._id);
+};
+
+// Ids of every user the given user follows (accepted only)
+const getFollowingIds = async (userId) => {
+  const edges = await Follow.find({ follower: userId, status: 'accepted' }).select('following').lean();
+  return edges.map(edge => edge.following);
+};
+
+const getFollowCounts = async (userId) => {
+  const [followersCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ following: userId, status: 'accepted' }),
+    Follow.countDocuments({ follower: userId, status: 'accepted' })
+  ]);
+  return { followersCount, followingCount };
+};
+
+// Follow a user. Private profiles get a pending request instead.
+// Returns the edge status, or null if an edge already existed.
+const followUser = async (followerId, target) => {
+  const status = target.privateProfile ? 'pending' : 'accepted';
+  const result = await Follow.updateOne(
+    { follower: followerId, following: target._id },
+    {
+      $setOnInsert: {
+        status,
+        ...(status === 'accepted' ? { acceptedAt: new Date() } : {})
+      }
+    },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0 ? status : null;
+};
+
+const unfollowUser = async (followerId, followingId) => {
+  return Follow.deleteOne({ follower: followerId, following: followingId, status: 'accepted' });
+};
+
+// Approve a pending request. Returns false if there was none.
+const acceptFollowRequest = async (userId, requesterId) => {
+  const result = await Follow.updateOne(
+    { follower: requesterId, following: userId, status: 'pending' },
+    { status: 'accepted', acceptedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Drop a pending request (rejected by the owner or cancelled by the requester)
+const removeFollowRequest = async (requesterId, userId) => {
+  const result = await Follow.deleteOne({ follower: requesterId, following: userId, status: 'pending' });
+  return result.deletedCount > 0;
+};
+
+// Remove every edge between two users, in both directions
+const removeFollowsBetween = async (userId, otherUserId) => {
+  return Follow.deleteMany({
+    $or: [
+      { follower: userId, following: otherUserId },
+      { follower: otherUserId, following: userId }
+    ]
+  });
+};
+
+// Edge status from the viewer to each of the given users
+const getFollowStates = async (viewerId, userIds) => {
+  const edges = await Follow.find({ follower: viewerId, following: { $in: userIds } })
+    .select('following status')
+    .lean();
+  return new Map(edges.map(edge => [edge.following.toString(), edge.status]));
+};
+
+// Cursor pagination over follow edges ordered by edge _id. `side` is the
+// populated end of the edge ('follower' or 'following'). Returns null when
+// the cursor is malformed.
+const findFollowPage = async (filter, side, { cursor, limit, select = 'name username avatar' } = {}) => {
+  const query = { ...filter };
+  if (cursor) {
+    if (!mongoose.Types.ObjectId.isValid(cursor)) return null;
+    query._id = { $gt: cursor };
+  }
+
+  const edges = await Follow.find(query)
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .populate({ path: side, match: { deactivatedAt: null }, select })
+    .lean();
+
+  const hasMore = edges.length > limit;
+  const pageEdges = edges.slice(0, limit);
+  return {
+    // Deactivated users are skipped, so a page may hold fewer than `limit`
+    users: pageEdges.filter(edge => edge[side]).map(edge => edge[side]),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? pageEdges[pageEdges.length - 1]._id : null
+    }
+  };
+};
+
+module.exports = {
+  isFollowing,
+  canViewProfile,
+  getFollowingIds,
+  getFollowCounts,
+  followUser,
+  unfollowUser,
+  acceptFollowRequest,
+  removeFollowRequest,
+  removeFollowsBetween,
+  getFollowStates,
+  findFollowPage
+};
@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const { isBlockedBetween } = require('./blocks');
+
+// Make two users friends and clear pending requests in both directions
+const addFriendship = async (userId, otherUserId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { friends: otherUserId }, $pull: { friendRequests: otherUserId } }
+  );
+  await User.updateOne(
+    { _id: otherUserId },
+    { $addToSet: { friends: userId }, $pull: { friendRequests: userId } }
+  );
+};
+
+const removeFriendship = async (userId, otherUserId) => {
+  await User.updateOne({ _id: userId }, { $pull: { friends: otherUserId } });
+  await User.updateOne({ _id: otherUserId }, { $pull: { friends: userId } });
+};
+
+// Number of friends two users have in common
+const countMutualFriends = (friendsA = [], friendsB = []) => {
+  const set = new Set(friendsA.map(id => id.toString()));
+  return friendsB.filter(id => set.has(id.toString())).length;
+};
+
+// Check whether the sender may message the recipient directly.
+// Returns null when allowed, otherwise a reason: 'blocked' or 'friends_only'.
+const getDirectMessageRestriction = async (senderId, recipientId) => {
+  if (String(senderId) === String(recipientId)) return null;
+  if (await isBlockedBetween(senderId, recipientId)) return 'blocked';
+
+  const recipient = await User.findById(recipientId).select('messagePrivacy friends').lean();
+  if (recipient && recipient.messagePrivacy === 'friends') {
+    const isFriend = (recipient.friends || []).some(id => id.toString() === senderId.toString());
+    if (!isFriend) return 'friends_only';
+  }
+  return null;
+};
+
+module.exports = {
+  addFriendship,
+  removeFriendship,
+  countMutualFriends,
+  getDirectMessageRestriction
+};
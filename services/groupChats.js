@@ -0,0 +1,142 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { emitNewMessage, emitToChat } = require('../socket/emitters');
+
+const SYSTEM_TEXT = {
+  member_added: (actor, targets) => `${actor} ${targets}-г группт нэмлээ`,
+  member_removed: (actor, targets) => `${actor} ${targets}-г группээс хаслаа`,
+  member_left: (actor) => `${actor} группээс гарлаа`,
+  // Without targets the actor became admin on their own (automatic promotion)
+  admin_promoted: (actor, targets) => (targets ? `${actor} ${targets}-г админ болголоо` : `${actor} админ боллоо`),
+  admin_demoted: (actor, targets) => `${actor} ${targets}-г админаас хаслаа`,
+  renamed: (actor, targets, name) => `${actor} группийн нэрийг "${name}" болголоо`,
+  avatar_changed: (actor) => `${actor} группийн зургийг солилоо`
+};
+
+const hasId = (ids, userId) => ids.some(id => id.toString() === userId.toString());
+
+const isMember = (chat, userId) => hasId(chat.participants, userId);
+
+const isGroupAdmin = (chat, userId) => hasId(chat.admins, userId);
+
+// Admins can always add people; other members only when invites are allowed
+const canAddMembers = (chat, userId) => {
+  return isGroupAdmin(chat, userId) || (chat.settings && chat.settings.allowInvites !== false);
+};
+
+// Record a membership change in the chat as a 'system' message
+const postSystemMessage = async (io, chat, actorId, action, { targets = [], name } = {}) => {
+  const users = await User.find({ _id: { $in: [actorId, ...targets] } }).select('name').lean();
+  const names = new Map(users.map(user => [user._id.toString(), user.name]));
+  const targetNames = targets.map(id => names.get(id.toString())).filter(Boolean).join(', ');
+
+  const message = new Message({
+    chat: chat._id,
+    sender: actorId,
+    type: 'system',
+    content: { text: SYSTEM_TEXT[action](names.get(actorId.toString()) || '', targetNames, name) },
+    system: {
+      action,
+      ...(targets.length > 0 ? { targets } : {}),
+      ...(name ? { name } : {})
+    }
+  });
+  await message.save();
+  await message.populate('sender', 'name username avatar');
+
+  emitNewMessage(io, chat, message);
+  return message;
+};
+
+// Tell current (and, for removals, former) members what changed. Removed
+// users are taken out of the chat room so they stop receiving its events.
+const emitMembershipChange = (io, chat, actorId, action, { userIds = [], removedIds = [] } = {}) => {
+  if (!io) return;
+  const payload = {
+    action,
+    actorId: actorId.toString(),
+    userIds: userIds.map(id => id.toString()),
+    participants: chat.participants.map(id => id.toString()),
+    admins: chat.admins.map(id => id.toString())
+  };
+
+  emitToChat(io, { _id: chat._id, participants: [...chat.participants, ...removedIds] }, 'chat_membership_updated', payload);
+  for (const userId of removedIds) {
+    io.in(`user_${userId}`).socketsLeave(`chat_${chat._id}`);
+  }
+};
+
+const addMembers = async (io, chat, actorId, userIds) => {
+  chat.participants.push(...userIds);
+  await chat.save();
+  await postSystemMessage(io, chat, actorId, 'member_added', { targets: userIds });
+  emitMembershipChange(io, chat, actorId, 'member_added', { userIds });
+};
+
+// Remove a member (by an admin) or leave (actor is the member). A group left
+// without admins gets its longest-standing member as admin, recorded as that
+// member's own promotion; an empty group is closed.
+const removeMember = async (io, chat, actorId, userId) => {
+  const action = actorId.toString() === userId.toString() ? 'member_left' : 'member_removed';
+  chat.participants = chat.participants.filter(id => id.toString() !== userId.toString());
+  chat.admins = chat.admins.filter(id => id.toString() !== userId.toString());
+  chat.unreadCounts = chat.unreadCounts.filter(item => item.user.toString() !== userId.toString());
+
+  let promotedId = null;
+  if (chat.participants.length === 0) {
+    chat.isActive = false;
+  } else if (chat.admins.length === 0) {
+    promotedId = chat.participants[0];
+    chat.admins.push(promotedId);
+  }
+  await chat.save();
+
+  if (chat.isActive) {
+    await postSystemMessage(io, chat, actorId, action, action === 'member_removed' ? { targets: [userId] } : {});
+  }
+  emitMembershipChange(io, chat, actorId, action, { userIds: [userId], removedIds: [userId] });
+
+  if (promotedId) {
+    await postSystemMessage(io, chat, promotedId, 'admin_promoted');
+    emitMembershipChange(io, chat, promotedId, 'admin_promoted', { userIds: [promotedId] });
+  }
+};
+
+const setAdmin = async (io, chat, actorId, userId, makeAdmin) => {
+  if (makeAdmin) {
+    chat.admins.push(userId);
+  } else {
+    chat.admins = chat.admins.filter(id => id.toString() !== userId.toString());
+  }
+  await chat.save();
+
+  const action = makeAdmin ? 'admin_promoted' : 'admin_demoted';
+  await postSystemMessage(io, chat, actorId, action, { targets: [userId] });
+  emitMembershipChange(io, chat, actorId, action, { userIds: [userId] });
+};
+
+// Name or avatar change
+const updateGroupProfile = async (io, chat, actorId, { name, avatar }) => {
+  if (name !== undefined) chat.name = name;
+  if (avatar !== undefined) chat.avatar = avatar;
+  await chat.save();
+
+  if (name !== undefined) {
+    await postSystemMessage(io, chat, actorId, 'renamed', { name });
+  }
+  if (avatar !== undefined) {
+    await postSystemMessage(io, chat, actorId, 'avatar_changed');
+  }
+  emitToChat(io, chat, 'chat_updated', { name: chat.name, avatar: chat.avatar });
+};
+
+module.exports = {
+  isMember,
+  isGroupAdmin,
+  canAddMembers,
+  postSystemMessage,
+  addMembers,
+  removeMember,
+  setAdmin,
+  updateGroupProfile
+};
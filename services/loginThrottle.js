@@ -0,0 +1,97 @@
+const bcrypt = require('bcryptjs');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_TIME = parseInt(process.env.LOCKOUT_TIME) || 15 * 60 * 1000; // 15 minutes
+// Failure records are kept at least a day so slow guessing still adds up
+const RECORD_TTL = Math.max(LOCKOUT_TIME, 24 * 60 * 60 * 1000);
+const MAX_DELAY = 30 * 1000;
+
+// Required wait after the nth consecutive failure: none for the first two,
+// then 1s, 2s, 4s ... capped at 30s
+const getDelay = (failures) => {
+  if (failures < 3) return 0;
+  return Math.min(1000 * 2 ** (failures - 3), MAX_DELAY);
+};
+
+// Returns { allowed: true } or { allowed: false, retryAfter } in seconds
+const checkLoginAllowed = async (email) => {
+  const record = await LoginAttempt.findOne({ email });
+  if (!record) return { allowed: true };
+
+  const now = Date.now();
+  if (record.isLocked) {
+    return { allowed: false, retryAfter: Math.ceil((record.lockUntil - now) / 1000) };
+  }
+
+  // A finished lockout doesn't impose an extra delay
+  if (record.lockUntil) return { allowed: true };
+
+  const nextAllowedAt = record.lastFailureAt.getTime() + getDelay(record.failures);
+  if (nextAllowedAt > now) {
+    return { allowed: false, retryAfter: Math.ceil((nextAllowedAt - now) / 1000) };
+  }
+  return { allowed: true };
+};
+
+// Count a failure atomically so parallel guesses can't share one count
+const incrementFailures = (email, now) => {
+  return LoginAttempt.findOneAndUpdate(
+    { email },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + RECORD_TTL) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const recordLoginFailure = async (email) => {
+  const now = new Date();
+
+  // Lockout expired: start counting again
+  await LoginAttempt.updateOne(
+    { email, lockUntil: { $lte: now } },
+    { $set: { failures: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  let record;
+  try {
+    record = await incrementFailures(email, now);
+  } catch (error) {
+    // Two first failures raced to insert the record; the other one won
+    if (error.code !== 11000) throw error;
+    record = await incrementFailures(email, now);
+  }
+
+  if (record && record.failures >= MAX_LOGIN_ATTEMPTS && !record.isLocked) {
+    record = await LoginAttempt.findOneAndUpdate(
+      { _id: record._id },
+      { $set: { lockUntil: new Date(now.getTime() + LOCKOUT_TIME) } },
+      { new: true }
+    );
+  }
+  return record;
+};
+
+const clearLoginFailures = async (email) => {
+  await LoginAttempt.deleteOne({ email });
+};
+
+// Hash compared against when the email is unknown, so the response takes
+// as long as a real password check
+let dummyHashPromise = null;
+const compareDummyPassword = async (password) => {
+  if (!dummyHashPromise) {
+    dummyHashPromise = bcrypt.hash('dummy-password-for-timing', 12);
+  }
+  await bcrypt.compare(String(password), await dummyHashPromise);
+  return false;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  compareDummyPassword
+};
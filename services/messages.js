@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { getDirectMessageRestriction } = require('./friends');
+const { emitNewMessage, emitToChat, emitToUsers } = require('../socket/emitters');
+
+const MESSAGE_TYPES = ['text', 'image', 'voice', 'file'];
+const MAX_TEXT_LENGTH = 2000;
+const MAX_SYNC_LIMIT = 200;
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 100;
+const ZERO_ID = '000000000000000000000000';
+
+const SENDER_FIELDS = 'name username avatar';
+
+// Populates applied to messages returned to clients. Passing the list to
+// Message.populate loads each path for a whole page in one query.
+const MESSAGE_POPULATE = [
+  { path: 'sender', select: SENDER_FIELDS },
+  {
+    path: 'replyTo',
+    select: 'content.text sender',
+    populate: { path: 'sender', select: SENDER_FIELDS }
+  },
+  { path: 'replies', select: 'content.text sender createdAt' },
+  { path: 'readBy.user', select: SENDER_FIELDS },
+  { path: 'reactions.user', select: SENDER_FIELDS }
+];
+
+// Direct chats go silent once either side blocks the other, or when the
+// other user only accepts messages from friends
+const getDirectChatRestriction = async (chat, userId) => {
+  if (chat.type !== 'direct') return null;
+  const otherId = chat.participants.find(id => id.toString() !== userId.toString());
+  return otherId ? getDirectMessageRestriction(userId, otherId) : null;
+};
+
+// Validation message for a message payload, or null when it is valid
+const validateMessageInput = ({ type = 'text', content, clientMessageId }) => {
+  if (!MESSAGE_TYPES.includes(type)) return 'Мессежийн төрөл буруу байна';
+  if (!content || typeof content !== 'object') return 'Мессеж оруулна уу';
+  if (type === 'text' && (typeof content.text !== 'string' || !content.text.trim())) {
+    return 'Мессеж оруулна уу';
+  }
+  if (content.text && String(content.text).length > MAX_TEXT_LENGTH) {
+    return 'Мессеж 2000 тэмдэгтээс бага байх ёстой';
+  }
+  if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || !clientMessageId.trim() || clientMessageId.length > 100)) {
+    return 'clientMessageId буруу байна';
+  }
+  return null;
+};
+
+const populateMessage = (message) => message.populate(MESSAGE_POPULATE);
+
+const findByClientId = (chatId, senderId, clientMessageId) => {
+  return Message.findOne({ chat: chatId, sender: senderId, clientMessageId });
+};
+
+// Save a message and deliver it. A retry with the same clientMessageId
+// returns the stored message without counting or emitting it again. A reply
+// passes the message it answers as `parent`, already checked to be a live
+// message of this chat. Returns { message, duplicate }.
+const sendMessage = async (io, chat, senderId, { type = 'text', content, clientMessageId, parent }) => {
+  if (clientMessageId) {
+    const existing = await findByClientId(chat._id, senderId, clientMessageId);
+    if (existing) {
+      return { message: await populateMessage(existing), duplicate: true };
+    }
+  }
+
+  // A new message brings the chat back for everyone who had deleted it
+  for (const participantId of chat.participants) {
+    if (chat.isDeletedForUser(participantId)) {
+      await chat.restoreForUser(participantId);
+    }
+  }
+
+  const message = new Message({
+    chat: chat._id,
+    sender: senderId,
+    type,
+    content,
+    ...(parent ? { replyTo: parent._id } : {}),
+    ...(clientMessageId ? { clientMessageId } : {})
+  });
+
+  try {
+    await message.save();
+  } catch (error) {
+    // A concurrent retry saved the same message first
+    if (error.code === 11000 && clientMessageId) {
+      const existing = await findByClientId(chat._id, senderId, clientMessageId);
+      if (existing) {
+        return { message: await populateMessage(existing), duplicate: true };
+      }
+    }
+    throw error;
+  }
+
+  if (parent) {
+    parent.replies.push(message._id);
+    await parent.save();
+  }
+
+  // Update unread count for other participants
+  for (const participantId of chat.participants) {
+    if (participantId.toString() !== senderId.toString()) {
+      await chat.updateUnreadCount(participantId, true);
+    }
+  }
+
+  await populateMessage(message);
+  emitNewMessage(io, chat, message);
+  return { message, duplicate: false };
+};
+
+// Record that messages reached one of the user's devices and tell the
+// senders. Returns the ids that were newly marked.
+const markDelivered = async (io, chat, userId, messageIds) => {
+  const filter = {
+    _id: { $in: messageIds },
+    chat: chat._id,
+    sender: { $ne: userId },
+    'deliveredTo.user': { $ne: userId }
+  };
+  const pending = await Message.find(filter).select('_id').lean();
+  if (pending.length === 0) return [];
+
+  const ids = pending.map(message => message._id);
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { ...filter, _id: { $in: ids } },
+    { $push: { deliveredTo: { user: userId, deliveredAt } } }
+  );
+
+  const deliveredIds = ids.map(id => id.toString());
+  emitToChat(io, chat, 'messages_delivered', {
+    userId: userId.toString(),
+    messageIds: deliveredIds,
+    deliveredAt
+  });
+  return deliveredIds;
+};
+
+// Reads are shared only when both the chat and the user allow receipts
+const areReadReceiptsEnabled = (chat, user) => {
+  const chatSetting = chat.settings ? chat.settings.readReceipts : undefined;
+  const userSetting = user && user.privacy ? user.privacy.readReceipts : undefined;
+  return chatSetting !== false && userSetting !== false;
+};
+
+// Ids of chat members who turned their read receipts off
+const getReceiptsOffIds = async (chat) => {
+  const ids = await User.find({
+    _id: { $in: chat.participants },
+    'privacy.readReceipts': false
+  }).distinct('_id');
+  return new Set(ids.map(id => id.toString()));
+};
+
+// Remove readers the viewer may not see: everyone when receipts are off for
+// the chat or the viewer, otherwise members who turned their receipts off
+const hideReaders = async (chat, viewer, messages) => {
+  const list = messages.filter(message => message && !message.isDeleted && message.readBy);
+  if (list.length === 0) return messages;
+
+  if (!areReadReceiptsEnabled(chat, viewer)) {
+    list.forEach(message => { message.readBy = []; });
+    return messages;
+  }
+
+  const hidden = await getReceiptsOffIds(chat);
+  if (hidden.size === 0) return messages;
+
+  list.forEach(message => {
+    message.readBy = message.readBy.filter(read => read.user && !hidden.has((read.user._id || read.user).toString()));
+  });
+  return messages;
+};
+
+// Mark everything from others up to and including `upTo` as read (and
+// delivered) for the reader, then recount their unread messages.
+// Returns { messageIds, unreadCount }.
+const markRead = async (io, chat, reader, upTo) => {
+  const readerId = reader._id;
+  const readAt = new Date();
+  const pending = await Message.find({
+    chat: chat._id,
+    sender: { $ne: readerId },
+    isDeleted: false,
+    'readBy.user': { $ne: readerId },
+    $or: [
+      { createdAt: { $lt: upTo.createdAt } },
+      { createdAt: upTo.createdAt, _id: { $lte: upTo._id } }
+    ]
+  }).select('_id').lean();
+  const ids = pending.map(message => message._id);
+
+  if (ids.length > 0) {
+    await Message.updateMany(
+      { _id: { $in: ids }, 'readBy.user': { $ne: readerId } },
+      { $push: { readBy: { user: readerId, readAt } } }
+    );
+    await Message.updateMany(
+      { _id: { $in: ids }, 'deliveredTo.user': { $ne: readerId } },
+      { $push: { deliveredTo: { user: readerId, deliveredAt: readAt } } }
+    );
+  }
+
+  const unreadCount = await Message.countDocuments({
+    chat: chat._id,
+    sender: { $ne: readerId },
+    isDeleted: false,
+    'readBy.user': { $ne: readerId }
+  });
+  await chat.setUnreadCount(readerId, unreadCount);
+
+  const messageIds = ids.map(id => id.toString());
+  const payload = {
+    chatId: chat._id.toString(),
+    userId: readerId.toString(),
+    upTo: upTo._id.toString(),
+    messageIds,
+    readAt
+  };
+  // The reader's own devices always hear about it. Other members only do
+  // when receipts are on for the chat, the reader and themselves, the same
+  // rule hideReaders applies.
+  const recipients = [readerId.toString()];
+  if (areReadReceiptsEnabled(chat, reader)) {
+    const receiptsOff = await getReceiptsOffIds(chat);
+    chat.participants
+      .map(id => id.toString())
+      .filter(id => id !== readerId.toString() && !receiptsOff.has(id))
+      .forEach(id => recipients.push(id));
+  }
+  emitToUsers(io, recipients, 'messages_read', payload);
+
+  return { messageIds, unreadCount };
+};
+
+// Opaque resync cursor over (updatedAt, _id)
+const encodeSyncCursor = (updatedAt, id = ZERO_ID) => {
+  return Buffer.from(JSON.stringify({ t: new Date(updatedAt).getTime(), id: String(id) })).toString('base64url');
+};
+
+// Accepts a cursor from a previous response or an ISO timestamp
+const decodeSyncCursor = (since) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(since), 'base64url').toString());
+    if (typeof t === 'number' && mongoose.Types.ObjectId.isValid(id)) {
+      return { updatedAt: new Date(t), id };
+    }
+  } catch (error) {
+    // Not a cursor, try a timestamp
+  }
+  const date = new Date(since);
+  return isNaN(date.getTime()) ? null : { updatedAt: date, id: ZERO_ID };
+};
+
+// Deleted messages are returned as tombstones so clients can drop them
+const toTombstone = (message) => ({
+  _id: message._id,
+  chat: message.chat,
+  isDeleted: true,
+  deletedAt: message.deletedAt,
+  updatedAt: message.updatedAt
+});
+
+// Everything in a chat created, edited, deleted, reacted to, delivered or
+// read after the cursor, oldest change first. Returns null for a bad cursor.
+const getMessageChanges = async (chatId, since, { limit = 100 } = {}) => {
+  const cursor = decodeSyncCursor(since);
+  if (!cursor) return null;
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_SYNC_LIMIT);
+
+  const changes = await Message.find({
+    chat: chatId,
+    $or: [
+      { updatedAt: { $gt: cursor.updatedAt } },
+      { updatedAt: cursor.updatedAt, _id: { $gt: cursor.id } }
+    ]
+  })
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(pageLimit + 1);
+
+  const hasMore = changes.length > pageLimit;
+  const page = changes.slice(0, pageLimit);
+  const live = page.filter(message => !message.isDeleted);
+  if (live.length > 0) {
+    await Message.populate(live, MESSAGE_POPULATE);
+  }
+
+  const last = page[page.length - 1];
+  return {
+    messages: page.map(message => (message.isDeleted ? toTombstone(message) : message)),
+    sync: {
+      cursor: last ? encodeSyncCursor(last.updatedAt, last._id) : encodeSyncCursor(cursor.updatedAt, cursor.id),
+      hasMore
+    }
+  };
+};
+
+// Messages strictly older or newer than an anchor in (createdAt, _id)
+// order; `inclusive` also matches the anchor itself
+const olderThan = (anchor, inclusive = false) => ({
+  $or: [
+    { createdAt: { $lt: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { [inclusive ? '$lte' : '$lt']: anchor._id } }
+  ]
+});
+
+const newerThan = (anchor, inclusive = false) => ({
+  $or: [
+    { createdAt: { $gt: anchor.createdAt } },
+    { createdAt: anchor.createdAt, _id: { [inclusive ? '$gte' : '$gt']: anchor._id } }
+  ]
+});
+
+// Up to `limit` visible messages on one side of the anchor, nearest first,
+// plus whether more exist beyond them
+const findSide = async (chatId, anchor, side, limit, inclusive) => {
+  if (limit <= 0) return { messages: [], hasMore: false };
+  const range = anchor ? (side === 'older' ? olderThan(anchor, inclusive) : newerThan(anchor, inclusive)) : {};
+  const order = side === 'older' ? -1 : 1;
+  const messages = await Message.find({ chat: chatId, isDeleted: false, ...range })
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1);
+  return { messages: messages.slice(0, limit), hasMore: messages.length > limit };
+};
+
+const existsBeyond = (chatId, anchor, side, inclusive) => {
+  const range = side === 'older' ? olderThan(anchor, inclusive) : newerThan(anchor, inclusive);
+  return Message.exists({ chat: chatId, isDeleted: false, ...range }).then(Boolean);
+};
+
+// One page of a chat in chronological order. `before`/`after` page from a
+// message id; `around` centers the page on a message (jump to a reply or
+// search result). Without a cursor the latest messages are returned.
+// Returns null when the cursor message is not in the chat.
+const getMessagePage = async (chatId, { before, after, around, limit } = {}) => {
+  const pageLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+  const anchorId = before || after || around;
+  let anchor = null;
+  if (anchorId) {
+    anchor = await Message.findOne({ _id: anchorId, chat: chatId }).select('createdAt isDeleted').lean();
+    if (!anchor || (around && anchor.isDeleted)) return null;
+  }
+
+  let older = { messages: [], hasMore: false };
+  let newer = { messages: [], hasMore: false };
+  if (after) {
+    newer = await findSide(chatId, anchor, 'newer', pageLimit);
+  } else if (around) {
+    // The anchor counts toward the older half
+    const olderLimit = Math.ceil(pageLimit / 2);
+    [older, newer] = await Promise.all([
+      findSide(chatId, anchor, 'older', olderLimit, true),
+      findSide(chatId, anchor, 'newer', pageLimit - olderLimit)
+    ]);
+  } else {
+    older = await findSide(chatId, anchor, 'older', pageLimit);
+  }
+
+  const messages = [...older.messages.reverse(), ...newer.messages];
+  if (messages.length > 0) {
+    await Message.populate(messages, MESSAGE_POPULATE);
+  }
+
+  const oldest = messages[0];
+  const newest = messages[messages.length - 1];
+  // The far side of a before/after page is everything from the anchor on
+  const hasOlder = after ? existsBeyond(chatId, anchor, 'older', true) : older.hasMore;
+  const hasNewer = after || around
+    ? newer.hasMore
+    : (anchor ? existsBeyond(chatId, anchor, 'newer', true) : false);
+
+  return {
+    messages,
+    pagination: {
+      limit: pageLimit,
+      hasOlder: await hasOlder,
+      hasNewer: await hasNewer,
+      // Pass as ?before= / ?after= to load the neighbouring pages
+      before: oldest ? oldest._id : null,
+      after: newest ? newest._id : null,
+      ...(around ? { anchor: anchor._id } : {})
+    }
+  };
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  MESSAGE_POPULATE,
+  getDirectChatRestriction,
+  validateMessageInput,
+  populateMessage,
+  sendMessage,
+  markDelivered,
+  areReadReceiptsEnabled,
+  hideReaders,
+  markRead,
+  encodeSyncCursor,
+  getMessageChanges,
+  getMessagePage
+};
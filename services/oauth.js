@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000; // refetch on unknown kid at most once a minute
+
+// provider name -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+const loadJwks = async (provider) => {
+  if (provider.jwks) {
+    return provider.jwks.keys || [];
+  }
+  if (provider.jwksFile) {
+    const filePath = path.resolve(__dirname, '..', provider.jwksFile);
+    const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return content.keys || [];
+  }
+
+  const response = await fetch(provider.jwksUri);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  const content = await response.json();
+  return content.keys || [];
+};
+
+const getSigningKey = async (provider, kid) => {
+  let cached = jwksCache.get(provider.name);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+  const hasKey = cached && cached.keys.some(key => key.kid === kid);
+
+  // Refetch when stale, or when the key is unknown (providers rotate keys)
+  if (age > JWKS_CACHE_TTL || (!hasKey && age > JWKS_MIN_REFRESH_INTERVAL)) {
+    cached = { keys: await loadJwks(provider), fetchedAt: Date.now() };
+    jwksCache.set(provider.name, cached);
+  }
+
+  const jwk = cached.keys.find(key => key.kid === kid);
+  if (!jwk) return null;
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an OIDC ID token against the provider's keys, issuer and client
+// IDs. Returns the normalized identity, or null if the token is invalid.
+const verifyIdToken = async (provider, idToken, { nonce } = {}) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) return null;
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  if (!key) return null;
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: provider.issuer,
+      audience: provider.clientIds
+    });
+  } catch (error) {
+    console.log(`OAuth ${provider.name} token rejected:`, error.message);
+    return null;
+  }
+
+  if (!claims.sub) return null;
+  // Providers that support a nonce must echo the one the client sent
+  if (provider.requireNonce && !nonce) return null;
+  if (nonce && claims.nonce !== nonce) return null;
+
+  // Apple sends email_verified as a string
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  return {
+    provider: provider.name,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified,
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    picture: claims.picture || null
+  };
+};
+
+module.exports = {
+  verifyIdToken
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMail, buildFrontendLink, escapeHtml } = require('../config/mailer');
+
+const RESET_TOKEN_TTL_MS = (parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000;
+
+const hashResetToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a single-use reset token. Only its hash is stored, so a database
+// leak does not expose usable tokens.
+const sendPasswordResetEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.passwordResetTokenHash = hashResetToken(token);
+  user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  await user.save();
+
+  const link = buildFrontendLink('/reset-password', token);
+  const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Нууц үг сэргээх',
+    text: `Сайн байна уу, ${user.name}!\n\nНууц үгээ сэргээхийн тулд дараах холбоос дээр дарна уу:\n${link}\n\nХолбоос ${minutes} минутын дараа хүчингүй болно. Хэрэв та энэ хүсэлтийг илгээгээгүй бол энэ имэйлийг үл тоомсорлоно уу.`,
+    html: `<p>Сайн байна уу, ${escapeHtml(user.name)}!</p><p>Нууц үгээ сэргээхийн тулд <a href="${escapeHtml(link)}">энд дарна уу</a>.</p><p>Холбоос ${minutes} минутын дараа хүчингүй болно. Хэрэв та энэ хүсэлтийг илгээгээгүй бол энэ имэйлийг үл тоомсорлоно уу.</p>`,
+    meta: { purpose: 'password_reset', token }
+  });
+};
+
+// Find the user a still-valid reset token belongs to
+const findUserByResetToken = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+  return User.findOne({
+    passwordResetTokenHash: hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Set a new password and consume any outstanding reset token
+const setPassword = async (user, password) => {
+  user.password = password;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  findUserByResetToken,
+  setPassword
+};
@@ -0,0 +1,254 @@
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Follow = require('../models/Follow');
+const { getBlockedIds } = require('./blocks');
+const { nodeId, getPubSub } = require('./pubsub');
+
+// A socket with no activity or heartbeat for this long counts as away
+const AWAY_AFTER_MS = (parseInt(process.env.PRESENCE_AWAY_AFTER_SECONDS) || 300) * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+// An instance that misses this many sweeps is considered gone
+const NODE_TIMEOUT_MS = 3 * SWEEP_INTERVAL_MS;
+
+// Presence lives in the shared store so every instance sees every device:
+//   presence:user:<userId>  socketId -> { node, lastActiveAt, idle }
+//   presence:node:<nodeId>  socketId -> userId
+//   presence:nodes          nodeId -> last heartbeat
+//   presence:status         userId -> last published status (not offline)
+//   socket:connections      nodeId -> open connections
+const userSocketsKey = (userId) => `presence:user:${userId}`;
+const nodeSocketsKey = (node) => `presence:node:${node}`;
+const NODES_KEY = 'presence:nodes';
+const STATUS_KEY = 'presence:status';
+const CONNECTIONS_KEY = 'socket:connections';
+
+const DEFAULT_PRIVACY = {
+  lastSeen: 'everyone',
+  onlineStatus: 'everyone'
+};
+
+// Online if any device is active, away if every device is idle, offline
+// when nothing is connected
+const getStatus = async (userId) => {
+  const sockets = Object.values(await getPubSub().hashGetAll(userSocketsKey(userId)));
+  if (sockets.length === 0) return 'offline';
+
+  const now = Date.now();
+  for (const state of sockets) {
+    if (!state.idle && now - state.lastActiveAt < AWAY_AFTER_MS) return 'online';
+  }
+  return 'away';
+};
+
+const getSocketCount = async (userId) => {
+  return Object.keys(await getPubSub().hashGetAll(userSocketsKey(userId))).length;
+};
+
+// Everyone who shares a chat or an accepted follow with the user, minus
+// blocked accounts. Only they receive status broadcasts.
+const getContactIds = async (userId) => {
+  const [chats, edges, blockedIds] = await Promise.all([
+    Chat.find({ participants: userId, isActive: true }).select('participants').lean(),
+    Follow.find({ $or: [{ follower: userId }, { following: userId }], status: 'accepted' })
+      .select('follower following')
+      .lean(),
+    getBlockedIds(userId)
+  ]);
+
+  const contacts = new Set();
+  chats.forEach(chat => chat.participants.forEach(id => contacts.add(id.toString())));
+  edges.forEach(edge => {
+    contacts.add(edge.follower.toString());
+    contacts.add(edge.following.toString());
+  });
+  contacts.delete(String(userId));
+  blockedIds.forEach(id => contacts.delete(id.toString()));
+  return [...contacts];
+};
+
+const isContact = async (userId, otherUserId) => {
+  const [sharedChat, follow] = await Promise.all([
+    Chat.exists({ participants: { $all: [userId, otherUserId] }, isActive: true }),
+    Follow.exists({
+      $or: [
+        { follower: userId, following: otherUserId },
+        { follower: otherUserId, following: userId }
+      ],
+      status: 'accepted'
+    })
+  ]);
+  return !!(sharedChat || follow);
+};
+
+const getPrivacy = (user) => ({ ...DEFAULT_PRIVACY, ...((user && user.privacy) || {}) });
+
+const canSee = (setting, { isSelf, isContact: contact }) => {
+  return isSelf || setting === 'everyone' || (setting === 'contacts' && contact);
+};
+
+// Hide status and last seen from viewers the user's privacy settings exclude
+const applyPresencePrivacy = (user, viewer) => {
+  if (!user) return user;
+  const privacy = getPrivacy(user);
+  if (!canSee(privacy.onlineStatus, viewer)) {
+    user.status = 'offline';
+  }
+  if (!canSee(privacy.lastSeen, viewer)) {
+    user.lastSeen = undefined;
+  }
+  return user;
+};
+
+// Send a status change to the user's contacts only
+const broadcastStatus = async (io, userId, status, lastSeen) => {
+  if (!io) return;
+  const user = await User.findById(userId).select('privacy').lean();
+  const privacy = getPrivacy(user);
+  // Contacts never see this user's status unless it is shared with them
+  if (privacy.onlineStatus === 'nobody') return;
+
+  const contactIds = await getContactIds(userId);
+  if (contactIds.length === 0) return;
+
+  io.to(contactIds.map(id => `user_${id}`)).emit('user_status_change', {
+    userId: String(userId),
+    status,
+    ...(privacy.lastSeen !== 'nobody' ? { lastSeen } : {})
+  });
+};
+
+// Persist and broadcast the user's status if it changed since last publish.
+// The swap makes sure only one instance publishes a given change.
+const publishStatus = async (io, userId) => {
+  const key = String(userId);
+  const status = await getStatus(key);
+  const previous = await getPubSub().hashSwap(STATUS_KEY, key, status === 'offline' ? null : status);
+  if ((previous || 'offline') === status) return status;
+
+  const lastSeen = new Date();
+  await User.findByIdAndUpdate(key, { status, lastSeen });
+  await broadcastStatus(io, key, status, lastSeen);
+  return status;
+};
+
+// Register an authenticated socket
+const connectSocket = async (io, userId, socketId) => {
+  const key = String(userId);
+  const store = getPubSub();
+  await store.hashSet(userSocketsKey(key), socketId, { node: nodeId, lastActiveAt: Date.now(), idle: false });
+  await store.hashSet(nodeSocketsKey(nodeId), socketId, key);
+  return publishStatus(io, key);
+};
+
+// Forget a socket; the user goes offline only when no sockets remain
+const disconnectSocket = async (io, userId, socketId) => {
+  const key = String(userId);
+  const store = getPubSub();
+  await store.hashDelete(userSocketsKey(key), socketId);
+  await store.hashDelete(nodeSocketsKey(nodeId), socketId);
+  return publishStatus(io, key);
+};
+
+// Record activity from a socket. Clients send { idle: true } when the app
+// is in the background and { idle: false } (or any activity) otherwise.
+const touchSocket = async (io, userId, socketId, { idle = false } = {}) => {
+  // Merged in the store so concurrent updates don't overwrite each other,
+  // and a socket that already disconnected is not brought back
+  const patch = idle ? { idle: true } : { idle: false, lastActiveAt: Date.now() };
+  const state = await getPubSub().hashMerge(userSocketsKey(userId), socketId, patch);
+  if (!state) return null;
+  return publishStatus(io, userId);
+};
+
+// Count a socket connection on this instance and return the total across
+// all instances
+const updateConnectionCount = async (by) => {
+  const store = getPubSub();
+  await store.hashIncrement(CONNECTIONS_KEY, nodeId, by);
+  const counts = Object.values(await store.hashGetAll(CONNECTIONS_KEY));
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+// Drop every socket an instance registered and republish the affected users
+const removeNode = async (io, node) => {
+  const store = getPubSub();
+  const sockets = await store.hashGetAll(nodeSocketsKey(node));
+  const userIds = new Set();
+  for (const [socketId, userId] of Object.entries(sockets)) {
+    await store.hashDelete(userSocketsKey(userId), socketId);
+    userIds.add(userId);
+  }
+  await store.hashDelete(nodeSocketsKey(node), ...Object.keys(sockets));
+  await store.hashDelete(CONNECTIONS_KEY, node);
+  if (node !== nodeId) {
+    await store.hashDelete(NODES_KEY, node);
+  }
+
+  for (const userId of userIds) {
+    await publishStatus(io, userId);
+  }
+};
+
+const heartbeat = () => getPubSub().hashSet(NODES_KEY, nodeId, Date.now());
+
+// Periodically move users without recent activity to away and clean up
+// after instances that stopped without disconnecting their sockets
+const startPresenceSweep = (io) => {
+  const sweep = async () => {
+    const store = getPubSub();
+    try {
+      await heartbeat();
+      const nodes = await store.hashGetAll(NODES_KEY);
+      for (const [node, lastHeartbeat] of Object.entries(nodes)) {
+        if (node !== nodeId && Date.now() - lastHeartbeat > NODE_TIMEOUT_MS) {
+          console.log(`Removing presence of stopped instance ${node}`);
+          await removeNode(io, node);
+        }
+      }
+    } catch (error) {
+      console.error('Presence sweep error:', error);
+    }
+
+    // Each instance sweeps the users connected to it
+    const sockets = await store.hashGetAll(nodeSocketsKey(nodeId)).catch(() => ({}));
+    for (const userId of new Set(Object.values(sockets))) {
+      try {
+        await publishStatus(io, userId);
+      } catch (error) {
+        console.error('Presence sweep error:', error);
+      }
+    }
+  };
+
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+// Called at startup. Sockets left over from a previous run of this instance
+// are removed, and users who are not connected to any instance are marked
+// offline; users connected to other running instances keep their status.
+const resetPresence = async (io) => {
+  await removeNode(io, nodeId);
+  await heartbeat();
+
+  const connectedIds = Object.keys(await getPubSub().hashGetAll(STATUS_KEY));
+  await User.updateMany(
+    { status: { $ne: 'offline' }, _id: { $nin: connectedIds } },
+    { status: 'offline' }
+  );
+};
+
+module.exports = {
+  getStatus,
+  getSocketCount,
+  getContactIds,
+  isContact,
+  applyPresencePrivacy,
+  connectSocket,
+  disconnectSocket,
+  touchSocket,
+  updateConnectionCount,
+  startPresenceSweep,
+  resetPresence
+};
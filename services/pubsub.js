@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Pub/sub and shared state used by every server instance. A driver provides:
+//   publish(channel, message)            -> Promise
+//   subscribe(channel, handler)          -> Promise<unsubscribe>
+//   hashGet(key, field)                  -> Promise<value | null>
+//   hashGetAll(key)                      -> Promise<{ field: value }>
+//   hashSet(key, field, value)           -> Promise
+//   hashSwap(key, field, value)          -> Promise<previous value | null>
+//   hashMerge(key, field, patch)         -> Promise<merged value | null>
+//   hashDelete(key, ...fields)           -> Promise
+//   hashIncrement(key, field, by)        -> Promise<new value>
+//   close()                              -> Promise
+// Messages and values must be JSON-serializable. Setting a value to null
+// with hashSwap removes the field. hashMerge atomically assigns the patch's
+// properties onto an existing object value and does nothing when the field
+// is missing.
+const drivers = new Map();
+
+// Identifies this process among the instances behind the load balancer
+const nodeId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// Memory drivers created with the same namespace share state within one
+// process. Nothing is shared between processes: use a networked driver such
+// as "redis" when more than one instance runs.
+const memorySpaces = new Map();
+
+const getMemorySpace = (namespace) => {
+  if (!memorySpaces.has(namespace)) {
+    memorySpaces.set(namespace, { hashes: new Map(), handlers: new Map() });
+  }
+  return memorySpaces.get(namespace);
+};
+
+// Single-node driver. Delivery is asynchronous like a network broker.
+const createMemoryDriver = ({ namespace = 'default' } = {}) => {
+  const space = getMemorySpace(namespace);
+  const subscriptions = [];
+
+  const getHash = (key, create) => {
+    if (!space.hashes.has(key) && create) {
+      space.hashes.set(key, new Map());
+    }
+    return space.hashes.get(key);
+  };
+
+  const removeField = (key, field) => {
+    const hash = getHash(key);
+    if (!hash) return;
+    hash.delete(field);
+    if (hash.size === 0) space.hashes.delete(key);
+  };
+
+  const unsubscribe = (channel, handler) => {
+    const handlers = space.handlers.get(channel);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) space.handlers.delete(channel);
+  };
+
+  return {
+    async publish(channel, message) {
+      const handlers = space.handlers.get(channel);
+      if (!handlers) return;
+      for (const handler of handlers) {
+        const payload = clone(message);
+        setImmediate(() => {
+          try {
+            handler(payload);
+          } catch (error) {
+            console.error('Pub/sub handler error:', error);
+          }
+        });
+      }
+    },
+
+    async subscribe(channel, handler) {
+      if (!space.handlers.has(channel)) {
+        space.handlers.set(channel, new Set());
+      }
+      space.handlers.get(channel).add(handler);
+      subscriptions.push([channel, handler]);
+      return () => unsubscribe(channel, handler);
+    },
+
+    async hashGet(key, field) {
+      const hash = getHash(key);
+      return hash && hash.has(field) ? clone(hash.get(field)) : null;
+    },
+
+    async hashGetAll(key) {
+      const hash = getHash(key);
+      return hash ? clone(Object.fromEntries(hash)) : {};
+    },
+
+    async hashSet(key, field, value) {
+      getHash(key, true).set(field, clone(value));
+    },
+
+    async hashSwap(key, field, value) {
+      const hash = getHash(key);
+      const previous = hash && hash.has(field) ? clone(hash.get(field)) : null;
+      if (value === null || value === undefined) {
+        removeField(key, field);
+      } else {
+        getHash(key, true).set(field, clone(value));
+      }
+      return previous;
+    },
+
+    async hashMerge(key, field, patch) {
+      const hash = getHash(key);
+      if (!hash || !hash.has(field)) return null;
+      const merged = { ...hash.get(field), ...clone(patch) };
+      hash.set(field, merged);
+      return clone(merged);
+    },
+
+    async hashDelete(key, ...fields) {
+      fields.forEach(field => removeField(key, field));
+    },
+
+    async hashIncrement(key, field, by = 1) {
+      const hash = getHash(key, true);
+      const value = (hash.get(field) || 0) + by;
+      hash.set(field, value);
+      return value;
+    },
+
+    async close() {
+      subscriptions.splice(0).forEach(([channel, handler]) => unsubscribe(channel, handler));
+    }
+  };
+};
+
+// Swap a hash field and return the previous value in one round trip.
+// An empty new value deletes the field.
+const HASH_SWAP_SCRIPT = `
+local previous = redis.call('HGET', KEYS[1], ARGV[1])
+if ARGV[2] == '' then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+else
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+end
+return previous
+`;
+
+const HASH_MERGE_SCRIPT = `
+local raw = redis.call('HGET', KEYS[1], ARGV[1])
+if not raw then
+  return nil
+end
+local value = cjson.decode(raw)
+for name, fieldValue in pairs(cjson.decode(ARGV[2])) do
+  value[name] = fieldValue
+end
+local encoded = cjson.encode(value)
+redis.call('HSET', KEYS[1], ARGV[1], encoded)
+return encoded
+`;
+
+const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+// Driver for running several instances. Uses one connection for commands
+// and publishing and a second one for subscriptions, as Redis requires.
+const createRedisDriver = ({ url = process.env.REDIS_URL } = {}) => {
+  if (!url) {
+    throw new Error('REDIS_URL is required for the redis pub/sub driver');
+  }
+  const Redis = require('ioredis');
+  const client = new Redis(url);
+  const subscriber = client.duplicate();
+  const handlers = new Map();
+
+  client.defineCommand('hashSwap', { numberOfKeys: 1, lua: HASH_SWAP_SCRIPT });
+  client.defineCommand('hashMerge', { numberOfKeys: 1, lua: HASH_MERGE_SCRIPT });
+  client.on('error', error => console.error('Redis error:', error.message));
+  subscriber.on('error', error => console.error('Redis subscriber error:', error.message));
+
+  subscriber.on('message', (channel, raw) => {
+    const channelHandlers = handlers.get(channel);
+    if (!channelHandlers) return;
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.error('Pub/sub message parse error:', error);
+      return;
+    }
+    for (const handler of channelHandlers) {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error('Pub/sub handler error:', error);
+      }
+    }
+  });
+
+  return {
+    async publish(channel, message) {
+      await client.publish(channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        await subscriber.subscribe(channel);
+      }
+      handlers.get(channel).add(handler);
+      return () => {
+        const channelHandlers = handlers.get(channel);
+        if (!channelHandlers) return;
+        channelHandlers.delete(handler);
+        if (channelHandlers.size === 0) {
+          handlers.delete(channel);
+          subscriber.unsubscribe(channel).catch(error => console.error('Redis unsubscribe error:', error.message));
+        }
+      };
+    },
+
+    async hashGet(key, field) {
+      return parse(await client.hget(key, field));
+    },
+
+    async hashGetAll(key) {
+      const hash = await client.hgetall(key);
+      return Object.fromEntries(Object.entries(hash).map(([field, raw]) => [field, parse(raw)]));
+    },
+
+    async hashSet(key, field, value) {
+      await client.hset(key, field, JSON.stringify(value));
+    },
+
+    async hashSwap(key, field, value) {
+      const next = value === null || value === undefined ? '' : JSON.stringify(value);
+      return parse(await client.hashSwap(key, field, next));
+    },
+
+    async hashMerge(key, field, patch) {
+      return parse(await client.hashMerge(key, field, JSON.stringify(patch)));
+    },
+
+    async hashDelete(key, ...fields) {
+      if (fields.length > 0) {
+        await client.hdel(key, ...fields);
+      }
+    },
+
+    async hashIncrement(key, field, by = 1) {
+      return client.hincrby(key, field, by);
+    },
+
+    async close() {
+      handlers.clear();
+      await Promise.all([subscriber.quit(), client.quit()]);
+    }
+  };
+};
+
+// Register a driver factory, e.g. a Redis or NATS implementation
+const registerDriver = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error(`Pub/sub driver "${name}" must be a factory function`);
+  }
+  drivers.set(name, factory);
+};
+
+const createPubSub = (name = 'memory', options = {}) => {
+  const factory = drivers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown pub/sub driver "${name}"`);
+  }
+  return factory(options);
+};
+
+let defaultPubSub = null;
+
+// Process-wide instance selected with PUBSUB_DRIVER
+const getPubSub = () => {
+  if (!defaultPubSub) {
+    defaultPubSub = createPubSub(process.env.PUBSUB_DRIVER || 'memory');
+  }
+  return defaultPubSub;
+};
+
+registerDriver('memory', createMemoryDriver);
+registerDriver('redis', createRedisDriver);
+
+module.exports = {
+  nodeId,
+  registerDriver,
+  createPubSub,
+  getPubSub
+};
@@ -0,0 +1,152 @@
+// User search index. Names, usernames and bios are normalized to one Latin
+// form so "Батаа", "bataa" and "Bataa" all index the same way; typos are
+// matched through trigram overlap.
+
+// Mongolian Cyrillic to Latin, following common everyday spelling
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'j', з: 'z',
+  и: 'i', й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', ө: 'o', п: 'p',
+  р: 'r', с: 's', т: 't', у: 'u', ү: 'u', ф: 'f', х: 'h', ц: 'ts', ч: 'ch',
+  ш: 'sh', щ: 'sh', ъ: '', ы: 'i', ь: 'i', э: 'e', ю: 'yu', я: 'ya'
+};
+
+// Latin spellings that map to the same Cyrillic letter
+const LATIN_VARIANTS = [
+  [/kh/g, 'h'],
+  [/zh/g, 'j'],
+  [/w/g, 'v'],
+  [/ii/g, 'i']
+];
+
+const MAX_BIO_TOKENS = 50;
+
+// Lowercase, strip accents, transliterate and fold spelling variants
+const normalize = (text) => {
+  let value = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+  value = value.replace(/[\u0400-\u04ff]/g, ch => (ch in CYRILLIC_TO_LATIN ? CYRILLIC_TO_LATIN[ch] : ch));
+  for (const [pattern, replacement] of LATIN_VARIANTS) {
+    value = value.replace(pattern, replacement);
+  }
+  return value;
+};
+
+const tokenize = (text) => {
+  return normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+};
+
+// Trigrams of a token, padded so short tokens and word starts still match
+const trigrams = (token) => {
+  const padded = `  ${token} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+const unique = (values) => [...new Set(values)];
+
+// Index fields stored on the user document
+const buildSearchIndex = ({ name, username, bio }) => {
+  const primaryTokens = unique([...tokenize(name), ...tokenize(username)]);
+  const bioTokens = tokenize(bio).slice(0, MAX_BIO_TOKENS);
+  return {
+    searchTokens: unique([...primaryTokens, ...bioTokens]),
+    // Typo tolerance only applies to names and usernames
+    searchGrams: unique(primaryTokens.flatMap(trigrams))
+  };
+};
+
+// Parse a query into tokens and trigrams
+const parseQuery = (query) => {
+  const tokens = unique(tokenize(query));
+  return {
+    tokens,
+    grams: unique(tokens.flatMap(trigrams))
+  };
+};
+
+// Share of the query's trigrams that the user's index contains
+const trigramSimilarity = (queryGrams, userGrams = []) => {
+  if (queryGrams.length === 0) return 0;
+  const set = new Set(userGrams);
+  return queryGrams.filter(gram => set.has(gram)).length / queryGrams.length;
+};
+
+const escapeRegex = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo filter for candidates: any token prefix match or any shared trigram
+const buildCandidateFilter = ({ tokens, grams }) => {
+  return {
+    $or: [
+      ...tokens.map(token => ({ searchTokens: { $regex: `^${escapeRegex(token)}` } })),
+      ...(grams.length > 0 ? [{ searchGrams: { $in: grams } }] : [])
+    ]
+  };
+};
+
+// Text relevance of a candidate, 0 when it should not be returned
+const scoreMatch = (parsed, user) => {
+  const userTokens = user.searchTokens || [];
+  // Separators are compared away on both sides, so "bat_erdene" and
+  // "bat.erdene" still match the handle bat_erdene exactly
+  const username = normalize(user.username).replace(/[^a-z0-9]+/g, '');
+  const queryText = parsed.tokens.join('');
+  let score = 0;
+
+  if (username === queryText) score += 100;
+  else if (username.startsWith(queryText)) score += 40;
+
+  let prefixMatches = 0;
+  for (const token of parsed.tokens) {
+    if (userTokens.includes(token)) {
+      score += 20;
+      prefixMatches++;
+    } else if (userTokens.some(userToken => userToken.startsWith(token))) {
+      score += 10;
+      prefixMatches++;
+    }
+  }
+
+  const similarity = trigramSimilarity(parsed.grams, user.searchGrams);
+  // Without any prefix hit, require enough trigram overlap to count as a typo
+  if (prefixMatches === 0 && similarity < 0.4) return 0;
+  score += Math.round(similarity * 30);
+
+  return score;
+};
+
+// Opaque cursor over (score desc, _id asc)
+const encodeCursor = (score, id) => {
+  return Buffer.from(JSON.stringify({ s: score, id: String(id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof s !== 'number' || typeof id !== 'string') return null;
+    return { score: s, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const isAfterCursor = (item, cursor) => {
+  if (item.score !== cursor.score) return item.score < cursor.score;
+  return String(item._id) > cursor.id;
+};
+
+module.exports = {
+  normalize,
+  tokenize,
+  buildSearchIndex,
+  parseQuery,
+  buildCandidateFilter,
+  scoreMatch,
+  encodeCursor,
+  decodeCursor,
+  isAfterCursor
+};
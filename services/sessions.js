@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Avoid writing lastUsedAt on every single request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Get client IP address (same lookup order as the analytics tracker)
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.ip || (req.socket ? req.socket.remoteAddress : null);
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Refresh tokens are opaque: "<sessionId>.<secret>", only the hash is stored
+const generateRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const buildTokens = (userId, session, secret) => ({
+  token: generateAccessToken(userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Create a new session for a successful login and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = generateRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    device: {
+      name: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+      userAgent: req.get('User-Agent')
+    },
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, ...buildTokens(user._id, session, secret) };
+};
+
+// Rotate a refresh token. Returns null when the token is unknown, expired or
+// revoked. Presenting an already-rotated token is treated as theft: the whole
+// session (token family) is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive) return null;
+
+  if (session.refreshTokenHash !== hashToken(parsed.secret)) {
+    console.warn(`🚨 Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+    await session.revoke('refresh_token_reuse');
+    return null;
+  }
+
+  const secret = generateRefreshSecret();
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(secret),
+      $inc: { generation: 1 },
+      lastUsedAt: new Date(),
+      ipAddress: getClientIp(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return { session: rotated, ...buildTokens(rotated.user, rotated, secret) };
+};
+
+// Verify an access token and check that its session is still active.
+// Throws jsonwebtoken errors for malformed or expired tokens; returns null
+// when the user or session no longer exists.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.userId || !decoded.sid) return null;
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return null;
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) return null;
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Session lastUsedAt update error:', error));
+  }
+
+  return { user, session };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, { exceptSessionId, reason = 'user_revoked' } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Disconnect live sockets that belong to revoked sessions. Passing no
+// sessionIds disconnects every socket of the user except keepSessionId.
+const disconnectSessionSockets = async (io, userId, { sessionIds, keepSessionId } = {}) => {
+  if (!io) return 0;
+  const targets = sessionIds ? sessionIds.map(id => id.toString()) : null;
+  const keep = keepSessionId ? keepSessionId.toString() : null;
+
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  let disconnected = 0;
+  for (const socket of sockets) {
+    const sessionId = socket.data.sessionId;
+    if (targets ? !targets.includes(sessionId) : sessionId === keep) continue;
+    socket.emit('session_revoked', { sessionId });
+    socket.disconnect(true);
+    disconnected++;
+  }
+  return disconnected;
+};
+
+module.exports = {
+  getClientIp,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessionSockets
+};
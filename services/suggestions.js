@@ -0,0 +1,158 @@
+const Follow = require('../models/Follow');
+const Chat = require('../models/Chat');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { getBlockedIds } = require('./blocks');
+
+// Signal weights: a shared follow says more than a shared group, which
+// says more than a like or comment
+const WEIGHTS = {
+  mutualFollower: 3,
+  sharedGroup: 2,
+  interaction: 1
+};
+const MAX_CANDIDATES = 200;
+const MAX_SAMPLED_POSTS = 200;
+const SUMMARY_FIELDS = 'name username avatar';
+
+const addScore = (candidates, userId, field, amount = 1) => {
+  const key = userId.toString();
+  if (!candidates.has(key)) {
+    candidates.set(key, { mutualFollowers: [], mutualFollowersCount: 0, sharedGroupsCount: 0, interactionsCount: 0 });
+  }
+  const entry = candidates.get(key);
+  entry[field] += amount;
+  return entry;
+};
+
+// Accounts followed by people the user follows
+const collectFriendsOfFriends = async (candidates, followingIds, excluded) => {
+  if (followingIds.length === 0) return;
+  const rows = await Follow.aggregate([
+    { $match: { follower: { $in: followingIds }, status: 'accepted', following: { $nin: excluded } } },
+    { $group: { _id: '$following', count: { $sum: 1 }, via: { $push: '$follower' } } },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CANDIDATES }
+  ]);
+  for (const row of rows) {
+    const entry = addScore(candidates, row._id, 'mutualFollowersCount', row.count);
+    entry.mutualFollowers = row.via.slice(0, 3);
+  }
+};
+
+// Members of group chats the user is in
+const collectSharedGroups = async (candidates, userId, excludedSet) => {
+  const groups = await Chat.find({ type: 'group', participants: userId, isActive: true })
+    .select('participants')
+    .lean();
+  for (const group of groups) {
+    for (const participantId of group.participants) {
+      if (!excludedSet.has(participantId.toString())) {
+        addScore(candidates, participantId, 'sharedGroupsCount');
+      }
+    }
+  }
+};
+
+// People who liked or commented on the user's posts, and authors of posts
+// the user liked or commented on
+const collectInteractions = async (candidates, userId, excludedSet) => {
+  const [ownPosts, engagedPosts] = await Promise.all([
+    Post.find({ author: userId })
+      .sort({ createdAt: -1 })
+      .limit(MAX_SAMPLED_POSTS)
+      .select('likes comments.author')
+      .lean(),
+    Post.find({ author: { $ne: userId }, $or: [{ likes: userId }, { 'comments.author': userId }] })
+      .sort({ createdAt: -1 })
+      .limit(MAX_SAMPLED_POSTS)
+      .select('author')
+      .lean()
+  ]);
+
+  const add = (id) => {
+    if (id && !excludedSet.has(id.toString())) addScore(candidates, id, 'interactionsCount');
+  };
+  for (const post of ownPosts) {
+    post.likes.forEach(add);
+    post.comments.forEach(comment => add(comment.author));
+  }
+  engagedPosts.forEach(post => add(post.author));
+};
+
+// Human readable reason for the strongest signal
+const buildReason = (entry, mutualFollowers) => {
+  if (entry.mutualFollowersCount > 0 && mutualFollowers.length > 0) {
+    const others = entry.mutualFollowersCount - 1;
+    return others > 0
+      ? `${mutualFollowers[0].name} болон өөр ${others} хүн дагадаг`
+      : `${mutualFollowers[0].name} дагадаг`;
+  }
+  if (entry.sharedGroupsCount > 0) {
+    return `${entry.sharedGroupsCount} нийтлэг групп чаттай`;
+  }
+  return 'Постоор харилцсан';
+};
+
+// Rank accounts the user might want to follow
+const getSuggestions = async (userId, { limit = 20 } = {}) => {
+  const [edges, blockedIds] = await Promise.all([
+    Follow.find({ follower: userId }).select('following status').lean(),
+    getBlockedIds(userId)
+  ]);
+  const followingIds = edges.filter(edge => edge.status === 'accepted').map(edge => edge.following);
+
+  // Never suggest yourself, blocked users, or anyone already followed or requested
+  const excluded = [userId, ...blockedIds, ...edges.map(edge => edge.following)];
+  const excludedSet = new Set(excluded.map(id => id.toString()));
+
+  const candidates = new Map();
+  await collectFriendsOfFriends(candidates, followingIds, excluded);
+  await collectSharedGroups(candidates, userId, excludedSet);
+  await collectInteractions(candidates, userId, excludedSet);
+
+  const ranked = [...candidates.entries()]
+    .map(([id, entry]) => ({
+      id,
+      entry,
+      score: entry.mutualFollowersCount * WEIGHTS.mutualFollower +
+        entry.sharedGroupsCount * WEIGHTS.sharedGroup +
+        entry.interactionsCount * WEIGHTS.interaction
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+
+  // Load candidates and the followers named in reasons in one query
+  const viaIds = ranked.flatMap(({ entry }) => entry.mutualFollowers);
+  const users = await User.find({
+    _id: { $in: [...ranked.map(({ id }) => id), ...viaIds] },
+    deactivatedAt: null
+  }).select(SUMMARY_FIELDS).lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const suggestions = [];
+  for (const { id, entry, score } of ranked) {
+    const user = usersById.get(id);
+    if (!user) continue;
+
+    const mutualFollowers = entry.mutualFollowers
+      .map(viaId => usersById.get(viaId.toString()))
+      .filter(Boolean);
+    suggestions.push({
+      user,
+      score,
+      reason: buildReason(entry, mutualFollowers),
+      mutualFollowers,
+      mutualFollowersCount: entry.mutualFollowersCount,
+      sharedGroupsCount: entry.sharedGroupsCount,
+      interactionsCount: entry.interactionsCount
+    });
+    if (suggestions.length >= limit) break;
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  getSuggestions
+};
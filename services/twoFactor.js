@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CHATLI';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Hidden twoFactor fields, for .select() when a document must be verified
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; only hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+// Start enrollment: store a pending secret until the user proves they
+// have added it to an authenticator app
+const beginEnrollment = async (doc, accountName) => {
+  const secret = generateSecret();
+  doc.twoFactor.pendingSecret = secret;
+  await doc.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName, issuer: ISSUER })
+  };
+};
+
+// Finish enrollment with a code from the pending secret. Returns the
+// plain recovery codes (shown once), or null if the code is wrong.
+const confirmEnrollment = async (doc, code) => {
+  const step = verifyCode(doc.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  doc.twoFactor.secret = doc.twoFactor.pendingSecret;
+  doc.twoFactor.pendingSecret = undefined;
+  doc.twoFactor.enabled = true;
+  doc.twoFactor.enabledAt = new Date();
+  doc.twoFactor.lastUsedStep = step;
+  doc.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await doc.save();
+
+  return recoveryCodes;
+};
+
+// Verify a TOTP code or a one-time recovery code. A TOTP code can only be
+// used once, and a recovery code is removed after use.
+const verifySecondFactor = async (doc, { code, recoveryCode }) => {
+  if (!doc.twoFactor || !doc.twoFactor.enabled) return false;
+
+  if (code) {
+    const step = verifyCode(doc.twoFactor.secret, String(code));
+    if (step === null || (doc.twoFactor.lastUsedStep && step <= doc.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    doc.twoFactor.lastUsedStep = step;
+    await doc.save();
+    return true;
+  }
+
+  if (recoveryCode && typeof recoveryCode === 'string') {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = doc.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    doc.twoFactor.recoveryCodes.splice(index, 1);
+    await doc.save();
+    return true;
+  }
+
+  return false;
+};
+
+const regenerateRecoveryCodes = async (doc) => {
+  const recoveryCodes = generateRecoveryCodes();
+  doc.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await doc.save();
+  return recoveryCodes;
+};
+
+const disableTwoFactor = async (doc) => {
+  doc.twoFactor = { enabled: false };
+  await doc.save();
+};
+
+// Short-lived token proving the password step succeeded. kind is 'user'
+// or 'admin' so a user challenge cannot be replayed against admin login.
+const createChallengeToken = (kind, id) => {
+  return jwt.sign(
+    { sub: id.toString(), kind, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+// Returns { id, issuedAt } for a valid challenge token, or null
+const decodeChallengeToken = (token, kind) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa_challenge' || decoded.kind !== kind) return null;
+    return { id: decoded.sub, issuedAt: new Date(decoded.iat * 1000) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns the subject id of a valid challenge token, or null
+const verifyChallengeToken = (token, kind) => {
+  const challenge = decodeChallengeToken(token, kind);
+  return challenge ? challenge.id : null;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  decodeChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const UsernameHistory = require('../models/UsernameHistory');
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 30;
+const CHANGE_COOLDOWN_MS = (parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const RESERVATION_MS = (parseInt(process.env.USERNAME_RESERVATION_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+// Reduce arbitrary text to the characters allowed in a username
+const toUsernameBase = (value) => {
+  if (!value || typeof value !== 'string') return '';
+  return value
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s.-]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .slice(0, MAX_LENGTH - 5);
+};
+
+// A username is taken if someone uses it now, or if it is still reserved
+// for the user who gave it up (that user may take it back)
+const isUsernameTaken = async (username, { exceptUserId } = {}) => {
+  const userQuery = { username };
+  if (exceptUserId) userQuery._id = { $ne: exceptUserId };
+  if (await User.exists(userQuery)) return true;
+
+  const reservationQuery = { username, reservedUntil: { $gt: new Date() } };
+  if (exceptUserId) reservationQuery.user = { $ne: exceptUserId };
+  return !!(await UsernameHistory.exists(reservationQuery));
+};
+
+// Pick an unused username from the candidates (e.g. name, email prefix),
+// appending random digits when the plain form is taken
+const generateUniqueUsername = async (candidates) => {
+  const bases = candidates.map(toUsernameBase).filter(base => base.length >= MIN_LENGTH);
+  if (bases.length === 0) bases.push('user');
+
+  for (const base of bases) {
+    if (!(await isUsernameTaken(base))) return base;
+  }
+
+  const base = bases[0];
+  for (let digits = 3; digits <= 5; digits++) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const suffix = String(crypto.randomInt(10 ** (digits - 1), 10 ** digits));
+      const username = `${base}${suffix}`;
+      if (!(await isUsernameTaken(username))) return username;
+    }
+  }
+
+  return `${base}_${crypto.randomBytes(3).toString('hex')}`;
+};
+
+// Date from which the user may change their username again (null if now)
+const getNextUsernameChangeAt = (user) => {
+  if (!user.usernameChangedAt) return null;
+  const next = new Date(user.usernameChangedAt.getTime() + CHANGE_COOLDOWN_MS);
+  return next > new Date() ? next : null;
+};
+
+// Change the username, recording the old one in the history and
+// reserving it for the grace period
+const changeUsername = async (user, username) => {
+  const previous = user.username;
+  const now = new Date();
+
+  user.username = username;
+  user.usernameChangedAt = now;
+  await user.save();
+
+  await UsernameHistory.create({
+    user: user._id,
+    username: previous,
+    changedAt: now,
+    reservedUntil: new Date(now.getTime() + RESERVATION_MS)
+  });
+
+  // Reclaiming an old handle ends its reservation
+  await UsernameHistory.updateMany(
+    { user: user._id, username, reservedUntil: { $gt: now } },
+    { reservedUntil: now }
+  );
+
+  return previous;
+};
+
+// Resolve a handle to a user id. Current usernames win; otherwise the most
+// recent previous owner is returned so old links keep working.
+const resolveUsername = async (username) => {
+  const user = await User.findOne({ username }).select('_id');
+  if (user) return { userId: user._id, redirected: false };
+
+  const history = await UsernameHistory.findOne({ username }).sort({ changedAt: -1 });
+  if (history) return { userId: history.user, redirected: true };
+
+  return null;
+};
+
+module.exports = {
+  isUsernameTaken,
+  generateUniqueUsername,
+  getNextUsernameChangeAt,
+  changeUsername,
+  resolveUsername
+};
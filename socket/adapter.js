@@ -0,0 +1,57 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const msgpack = require('notepack.io');
+
+// Packets may carry Buffers and ArrayBuffers, which JSON would mangle. They
+// are msgpack-encoded and sent through the driver as base64 text.
+const encode = (message) => msgpack.encode(message).toString('base64');
+const decode = (payload) => msgpack.decode(Buffer.from(payload, 'base64'));
+
+// Socket.IO adapter that fans broadcasts, room changes and fetchSockets out
+// to the other instances through the pub/sub driver
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, pubsub, opts = {}) {
+    super(nsp, opts);
+    this.pubsub = pubsub;
+    this.channel = `socket.io#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+    this.unsubscribers = [];
+
+    const listen = (channel, onPayload) => {
+      this.pubsub.subscribe(channel, onPayload)
+        .then(unsubscribe => this.unsubscribers.push(unsubscribe))
+        .catch(error => console.error('Socket adapter subscribe error:', error));
+    };
+
+    listen(this.channel, payload => this.onMessage(decode(payload)));
+    listen(this.responseChannel, payload => this.onResponse(decode(payload)));
+
+    // Socket.IO does not call init() itself; this announces the instance
+    // and starts the heartbeats used to count servers
+    this.init();
+  }
+
+  doPublish(message) {
+    return this.pubsub.publish(this.channel, encode(message)).then(() => undefined);
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.pubsub.publish(`${this.channel}${requesterUid}#`, encode(response));
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+  }
+}
+
+// Adapter factory for the Socket.IO `adapter` option
+const createAdapter = (pubsub, opts) => {
+  return function (nsp) {
+    return new PubSubAdapter(nsp, pubsub, opts);
+  };
+};
+
+module.exports = {
+  PubSubAdapter,
+  createAdapter
+};
@@ -0,0 +1,66 @@
+const { verifyAccessToken } = require('../services/sessions');
+const { connectSocket, disconnectSocket } = require('../services/presence');
+
+// Access token from the handshake: auth payload, then Authorization header,
+// then query string for clients that cannot set either
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  if (typeof auth.token === 'string' && auth.token) return auth.token;
+
+  const header = headers.authorization;
+  if (typeof header === 'string' && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+
+  if (typeof query.token === 'string' && query.token) return query.token;
+  return null;
+};
+
+// Connection middleware. Sockets without a token may still connect and use
+// the legacy `authenticate` event; an invalid token is rejected outright.
+const handshakeAuth = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+  if (!token) return next();
+
+  try {
+    const result = await verifyAccessToken(token);
+    if (!result) {
+      const error = new Error('Сесс хүчингүй болсон');
+      error.data = { code: 'SESSION_REVOKED' };
+      return next(error);
+    }
+    socket.handshakeAuth = result;
+    next();
+  } catch (error) {
+    const authError = new Error('Хүчингүй токен');
+    authError.data = { code: 'INVALID_TOKEN' };
+    next(authError);
+  }
+};
+
+// Bind a verified user and session to the socket
+const attachUser = async (io, socket, { user, session }) => {
+  socket.userId = user._id.toString();
+  socket.user = user;
+  socket.sessionId = session._id.toString();
+  // Also kept in socket.data so fetchSockets() can match sessions
+  socket.data.userId = socket.userId;
+  socket.data.sessionId = socket.sessionId;
+
+  // Join user to their personal room
+  socket.join(`user_${user._id}`);
+
+  // Track this device; contacts are notified if the status changed
+  await connectSocket(io, socket.userId, socket.id);
+
+  // The socket may have gone away while we were connecting it
+  if (socket.disconnected) {
+    await disconnectSocket(io, socket.userId, socket.id);
+  }
+};
+
+module.exports = {
+  getHandshakeToken,
+  handshakeAuth,
+  attachUser
+};
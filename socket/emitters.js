@@ -0,0 +1,48 @@
+// Server-side realtime events for chat changes. Events go to the chat room
+// (sockets that joined the chat) and to every participant's personal room,
+// so chat lists update even when the chat is not open. Socket.IO delivers
+// once per socket even if it is in several of these rooms.
+const getChatRooms = (chat) => {
+  const participants = chat.participants.map(participant => (participant._id || participant).toString());
+  return [`chat_${chat._id}`, ...participants.map(id => `user_${id}`)];
+};
+
+const emitToChat = (io, chat, event, payload) => {
+  if (!io) return;
+  io.to(getChatRooms(chat)).emit(event, { chatId: chat._id.toString(), ...payload });
+};
+
+const emitToUsers = (io, userIds, event, payload) => {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map(id => `user_${id}`)).emit(event, payload);
+};
+
+const emitToUser = (io, userId, event, payload) => emitToUsers(io, [userId], event, payload);
+
+const emitNewMessage = (io, chat, message) => emitToChat(io, chat, 'new_message', { message });
+
+// Readers are left out; an edit does not change them and they are subject
+// to each viewer's read receipt settings
+const emitMessageEdited = (io, chat, message) => {
+  const { readBy, ...edited } = typeof message.toJSON === 'function' ? message.toJSON() : message;
+  emitToChat(io, chat, 'message_edited', { message: edited });
+};
+
+const emitMessageDeleted = (io, chat, messageId) => {
+  emitToChat(io, chat, 'message_deleted', { messageId: messageId.toString() });
+};
+
+const emitReactionUpdated = (io, chat, messageId, reactions) => {
+  emitToChat(io, chat, 'reaction_updated', { messageId: messageId.toString(), reactions });
+};
+
+module.exports = {
+  getChatRooms,
+  emitToChat,
+  emitToUser,
+  emitToUsers,
+  emitNewMessage,
+  emitMessageEdited,
+  emitMessageDeleted,
+  emitReactionUpdated
+};
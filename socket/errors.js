@@ -0,0 +1,29 @@
+// Error raised by socket event handlers. It is sent back to the client as
+// a structured ack: { ok: false, error: { code, message } }
+class SocketError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SocketError';
+    this.code = code;
+  }
+}
+
+const unauthenticated = () => new SocketError('UNAUTHENTICATED', 'Нэвтрэх шаардлагатай');
+const forbidden = (message = 'Энэ чатад хандах эрхгүй') => new SocketError('FORBIDDEN', message);
+const invalidPayload = (message) => new SocketError('INVALID_PAYLOAD', message);
+
+// Shape any error into the ack format; unexpected errors are not leaked
+const toErrorAck = (error) => {
+  if (error instanceof SocketError) {
+    return { ok: false, error: { code: error.code, message: error.message } };
+  }
+  return { ok: false, error: { code: 'INTERNAL_ERROR', message: 'Серверийн алдаа' } };
+};
+
+module.exports = {
+  SocketError,
+  unauthenticated,
+  forbidden,
+  invalidPayload,
+  toErrorAck
+};
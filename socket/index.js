@@ -0,0 +1,232 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { verifyAccessToken } = require('../services/sessions');
+const { disconnectSocket, touchSocket, updateConnectionCount } = require('../services/presence');
+const {
+  getDirectChatRestriction,
+  validateMessageInput,
+  sendMessage,
+  markDelivered,
+  hideReaders
+} = require('../services/messages');
+const { handshakeAuth, attachUser } = require('./auth');
+const { EVENTS, validatePayload } = require('./schemas');
+const { SocketError, unauthenticated, forbidden, invalidPayload, toErrorAck } = require('./errors');
+
+// Chat the socket's user is an active participant of
+const findMemberChat = async (socket, chatId) => {
+  const chat = await Chat.findOne({ _id: chatId, participants: socket.userId, isActive: true });
+  if (!chat) throw forbidden();
+  return chat;
+};
+
+// Typing and similar events are only relayed into rooms the socket joined
+// through the membership check in join_chat
+const requireJoined = (socket, chatId) => {
+  if (!socket.rooms.has(`chat_${chatId}`)) throw forbidden();
+};
+
+const handlers = {
+  async authenticate(io, socket, { token }) {
+    let result;
+    try {
+      result = await verifyAccessToken(token);
+    } catch (error) {
+      socket.emit('auth_error', { message: 'Хүчингүй токен' });
+      throw new SocketError('INVALID_TOKEN', 'Хүчингүй токен');
+    }
+    if (!result) {
+      socket.emit('auth_error', { message: 'Сесс хүчингүй болсон' });
+      throw new SocketError('SESSION_REVOKED', 'Сесс хүчингүй болсон');
+    }
+    if (socket.userId && socket.userId !== result.user._id.toString()) {
+      throw new SocketError('ALREADY_AUTHENTICATED', 'Өөр хэрэглэгчээр нэвтэрсэн байна');
+    }
+
+    if (!socket.userId) {
+      await attachUser(io, socket, result);
+      console.log('User authenticated:', result.user.name);
+    }
+    return { userId: socket.userId };
+  },
+
+  async join_chat(io, socket, { chatId }) {
+    await findMemberChat(socket, chatId);
+    socket.join(`chat_${chatId}`);
+    console.log(`User joined chat: ${chatId}`);
+    return { chatId };
+  },
+
+  async leave_chat(io, socket, { chatId }) {
+    socket.leave(`chat_${chatId}`);
+    console.log(`User left chat: ${chatId}`);
+    return { chatId };
+  },
+
+  // Deprecated: POST /api/chats/:id/messages now saves and delivers the
+  // message itself. Relaying client payloads here duplicated delivery and
+  // unread counts, so the event is rejected without side effects.
+  async send_message(io, socket, { chatId }) {
+    console.warn(`Deprecated send_message from ${socket.userId} for chat ${chatId}`);
+    throw new SocketError('DEPRECATED', 'send_message хуучирсан. POST /api/chats/:id/messages ашиглана уу');
+  },
+
+  // Send a message over the socket. The ack carries the stored message, so
+  // a client that retries with the same clientMessageId after a lost ack
+  // gets the original back instead of a duplicate.
+  async message_send(io, socket, { chatId, clientMessageId, type = 'text', content, replyTo }) {
+    const error = validateMessageInput({ type, content, clientMessageId });
+    if (error) throw invalidPayload(error);
+
+    const chat = await findMemberChat(socket, chatId);
+    const restriction = await getDirectChatRestriction(chat, socket.userId);
+    if (restriction) {
+      throw forbidden(restriction === 'friends_only'
+        ? 'Энэ хэрэглэгч зөвхөн найзуудаасаа мессеж хүлээн авдаг'
+        : 'Энэ хэрэглэгчтэй харилцах боломжгүй');
+    }
+
+    // The message being replied to must be live and in the same chat
+    let parent;
+    if (replyTo) {
+      parent = await Message.findOne({ _id: replyTo, chat: chat._id, isDeleted: false });
+      if (!parent) throw invalidPayload('Хариулах мессеж олдсонгүй');
+    }
+
+    const { message, duplicate } = await sendMessage(io, chat, socket.userId, {
+      type,
+      content,
+      parent,
+      clientMessageId: clientMessageId.trim()
+    });
+    if (duplicate) {
+      await hideReaders(chat, socket.user, [message]);
+    }
+    return { message, duplicate };
+  },
+
+  // Acknowledge messages that reached this device
+  async message_delivered(io, socket, { chatId, messageIds }) {
+    const chat = await findMemberChat(socket, chatId);
+    const delivered = await markDelivered(io, chat, socket.userId, messageIds);
+    return { messageIds: delivered };
+  },
+
+  async presence_heartbeat(io, socket, { idle = false }) {
+    const status = await touchSocket(io, socket.userId, socket.id, { idle });
+    return { status };
+  },
+
+  async typing_start(io, socket, { chatId }) {
+    requireJoined(socket, chatId);
+    touchSocket(io, socket.userId, socket.id).catch(error => console.error('Presence update error:', error));
+    socket.to(`chat_${chatId}`).emit('user_typing', {
+      chatId,
+      userId: socket.userId,
+      isTyping: true
+    });
+  },
+
+  async typing_stop(io, socket, { chatId }) {
+    requireJoined(socket, chatId);
+    socket.to(`chat_${chatId}`).emit('user_typing', {
+      chatId,
+      userId: socket.userId,
+      isTyping: false
+    });
+  }
+};
+
+// Wrap a handler with auth and schema checks. The result (or error) goes to
+// the client's ack callback; clients that send no ack get errors as a
+// `socket_error` event instead.
+const registerEvent = (io, socket, event) => {
+  const schema = EVENTS[event];
+  const handler = handlers[event];
+
+  socket.on(event, async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : null;
+    try {
+      if (schema.auth && !socket.userId) {
+        throw unauthenticated();
+      }
+      const value = validatePayload(schema, payload);
+      const result = await handler(io, socket, value);
+      if (respond) respond({ ok: true, ...(result || {}) });
+    } catch (error) {
+      if (!(error instanceof SocketError)) {
+        console.error(`Socket ${event} error:`, error);
+      }
+      const errorAck = toErrorAck(error);
+      if (respond) {
+        respond(errorAck);
+      } else {
+        socket.emit('socket_error', { event, ...errorAck.error });
+      }
+    }
+  });
+};
+
+// Log the connection count across all instances
+const logConnectionCount = async (message, by) => {
+  try {
+    const total = await updateConnectionCount(by);
+    console.log(`${message} (Total: ${total})`);
+  } catch (error) {
+    console.error('Connection count error:', error);
+  }
+};
+
+const initSocket = (io) => {
+  // Connections to this process, for memory logging
+  let localConnectionCount = 0;
+
+  io.use(handshakeAuth);
+
+  io.on('connection', async (socket) => {
+    localConnectionCount++;
+    logConnectionCount(`User connected: ${socket.id}`, 1);
+
+    // Log memory usage every 50 connections
+    if (localConnectionCount % 50 === 0) {
+      const memUsage = process.memoryUsage();
+      console.log(`📊 Memory usage with ${localConnectionCount} connections:`, {
+        rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
+        heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
+        heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`
+      });
+    }
+
+    Object.keys(EVENTS).forEach(event => registerEvent(io, socket, event));
+
+    // Disconnect
+    socket.on('disconnect', async () => {
+      localConnectionCount--;
+      logConnectionCount(`User disconnected: ${socket.id}`, -1);
+
+      if (socket.userId) {
+        // The user goes offline only when their last device disconnects
+        try {
+          await disconnectSocket(io, socket.userId, socket.id);
+        } catch (error) {
+          console.error('Presence disconnect error:', error);
+        }
+      }
+    });
+
+    // Sockets that carried a valid token in the handshake are ready at once
+    if (socket.handshakeAuth) {
+      try {
+        await attachUser(io, socket, socket.handshakeAuth);
+        socket.emit('authenticated', { userId: socket.userId });
+      } catch (error) {
+        console.error('Socket authentication error:', error);
+      }
+      delete socket.handshakeAuth;
+    }
+  });
+};
+
+module.exports = {
+  initSocket
+};
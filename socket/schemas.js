@@ -0,0 +1,102 @@
+const { invalidPayload } = require('./errors');
+
+// Largest relayed object payload, in serialized characters
+const MAX_OBJECT_SIZE = 20000;
+// Most ids accepted in one list field
+const MAX_ID_LIST = 100;
+
+const isObjectId = (value) => typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value);
+
+const TYPES = {
+  objectId: isObjectId,
+  string: (value) => typeof value === 'string',
+  boolean: (value) => typeof value === 'boolean',
+  objectIdList: (value) => Array.isArray(value) && value.length > 0 && value.length <= MAX_ID_LIST &&
+    value.every(isObjectId),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    JSON.stringify(value).length <= MAX_OBJECT_SIZE
+};
+
+const chatIdOnly = {
+  fields: { chatId: { type: 'objectId', required: true } },
+  // Older clients send the chat id itself instead of { chatId }
+  shorthand: 'chatId'
+};
+
+// Every event the server accepts. `auth` events require an authenticated
+// socket; fields not listed here are dropped.
+const EVENTS = {
+  authenticate: {
+    auth: false,
+    fields: { token: { type: 'string', required: true } },
+    shorthand: 'token'
+  },
+  join_chat: { auth: true, ...chatIdOnly },
+  leave_chat: { auth: true, ...chatIdOnly },
+  typing_start: { auth: true, ...chatIdOnly },
+  typing_stop: { auth: true, ...chatIdOnly },
+  send_message: {
+    auth: true,
+    fields: {
+      chatId: { type: 'objectId', required: true },
+      message: { type: 'object', required: true }
+    }
+  },
+  message_send: {
+    auth: true,
+    fields: {
+      chatId: { type: 'objectId', required: true },
+      clientMessageId: { type: 'string', required: true },
+      type: { type: 'string' },
+      content: { type: 'object', required: true },
+      replyTo: { type: 'objectId' }
+    }
+  },
+  message_delivered: {
+    auth: true,
+    fields: {
+      chatId: { type: 'objectId', required: true },
+      messageIds: { type: 'objectIdList', required: true }
+    }
+  },
+  presence_heartbeat: {
+    auth: true,
+    fields: { idle: { type: 'boolean' } }
+  }
+};
+
+// Validate a payload against the event schema and return the clean value.
+// Throws an INVALID_PAYLOAD SocketError.
+const validatePayload = (schema, payload) => {
+  let input = payload;
+  if (schema.shorthand && (typeof payload === 'string' || typeof payload === 'number')) {
+    input = { [schema.shorthand]: String(payload) };
+  }
+  if (input === undefined || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw invalidPayload('Өгөгдлийн формат буруу байна');
+  }
+
+  const value = {};
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const fieldValue = input[field];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) {
+        throw invalidPayload(`${field} шаардлагатай`);
+      }
+      continue;
+    }
+    if (!TYPES[rule.type](fieldValue)) {
+      throw invalidPayload(`${field} буруу байна`);
+    }
+    value[field] = fieldValue;
+  }
+  return value;
+};
+
+module.exports = {
+  EVENTS,
+  validatePayload
+};